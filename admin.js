@@ -0,0 +1,142 @@
+// Admin command line: node admin.js <command> [options]
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { initFirestore } = require('./firestore-client');
+const { createChannelRegistry } = require('./channel-registry');
+const { createTouchpointStore } = require('./touchpoints');
+const { createWebhookProcessor } = require('./webhook-processor');
+const { createWebhookArchive } = require('./webhook-archive');
+const { createPrivacyService } = require('./privacy');
+const { createSinks } = require('./sinks');
+const { createApiKeyStore, SCOPES } = require('./api-keys');
+const { createAuditLog, SUBJECT_KEY_SECRET } = require('./audit-log');
+const { createSecretProvider } = require('./secret-provider');
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be an ISO date`);
+  }
+  return date;
+}
+
+const commands = {
+  replay: {
+    usage: 'replay --from <iso date> --to <iso date> [--apply]',
+    description: 'Re-run archived webhooks through the current attribution logic (dry run unless --apply)',
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      apply: { type: 'boolean', default: false }
+    },
+    async run(db, values) {
+      const processor = createWebhookProcessor({
+        db,
+        channelRegistry: createChannelRegistry(db),
+        touchpointStore: createTouchpointStore(db)
+      });
+      return createWebhookArchive(db).replay(processor, {
+        from: parseDate(values.from, 'from'),
+        to: parseDate(values.to, 'to'),
+        apply: values.apply
+      });
+    }
+  },
+  retention: {
+    usage: 'retention [--apply]',
+    description: 'Purge and redact data past the RETENTION_* periods (dry run unless --apply)',
+    options: {
+      apply: { type: 'boolean', default: false }
+    },
+    async run(db, values) {
+      return createPrivacyService(db).runRetention({ apply: values.apply, actor: 'admin-cli' });
+    }
+  },
+  'erase-contact': {
+    usage: 'erase-contact --phone <number> [--country-code <code>]',
+    description: 'Erase or anonymize every record of a phone number',
+    options: {
+      phone: { type: 'string' },
+      'country-code': { type: 'string' }
+    },
+    async run(db, values) {
+      const channelRegistry = createChannelRegistry(db);
+      const phone = await channelRegistry.normalizeContactPhone(values.phone, values['country-code']);
+      if (phone === null) throw new Error('--country-code is required for a number without one');
+      if (!phone) throw new Error('--phone is required');
+      const sinks = createSinks({ db, channelRegistry });
+      const secrets = createSecretProvider();
+      const getSubjectKey = () => secrets.get(SUBJECT_KEY_SECRET);
+      return createPrivacyService(db, { sinks, getSubjectKey }).eraseContact(phone, { actor: 'admin-cli' });
+    }
+  },
+  'create-key': {
+    usage: `create-key --name <name> --scopes <${SCOPES.join(',')}> [--expires <iso date>]`,
+    description: 'Create an API key; the key is printed once and cannot be shown again',
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string' },
+      expires: { type: 'string' }
+    },
+    async run(db, values) {
+      const created = await createApiKeyStore(db).create({
+        name: values.name,
+        scopes: (values.scopes || '').split(',').map(scope => scope.trim()).filter(Boolean),
+        expiresAt: values.expires ? parseDate(values.expires, 'expires') : null
+      });
+      await createAuditLog(db).record('api_key.create', {
+        actor: 'admin-cli',
+        details: { id: created.id, name: created.name, scopes: created.scopes }
+      });
+      return created;
+    }
+  },
+  'list-keys': {
+    usage: 'list-keys',
+    description: 'List API keys with their scopes, expiry, revocation and last use',
+    options: {},
+    async run(db) {
+      return createApiKeyStore(db).list();
+    }
+  },
+  'revoke-key': {
+    usage: 'revoke-key --id <key id>',
+    description: 'Revoke an API key (takes up to a minute to reach running servers)',
+    options: {
+      id: { type: 'string' }
+    },
+    async run(db, values) {
+      if (!values.id) throw new Error('--id is required');
+      const result = await createApiKeyStore(db).revoke(values.id);
+      await createAuditLog(db).record('api_key.revoke', { actor: 'admin-cli', details: { id: values.id } });
+      return result;
+    }
+  }
+};
+
+function printUsage() {
+  console.error('Usage: node admin.js <command> [options]\n');
+  Object.values(commands).forEach(command => {
+    console.error(`  ${command.usage}\n      ${command.description}`);
+  });
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+  const command = commands[name];
+  if (!command) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const { values } = parseArgs({ args, options: command.options });
+  const db = await initFirestore();
+  const result = await command.run(db, values);
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Admin command failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// API keys for the admin and reporting endpoints. A key looks like
+// utk_<id>_<secret>; only a SHA-256 hash of the secret is stored, in
+// `apiKeys/{id}`. Clients send it as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`.
+
+const SCOPES = ['sync:run', 'reports:read', 'admin:write', 'conversions:write', 'metrics:read'];
+
+// Key records are cached, so a revocation reaches every instance within a minute
+const CACHE_TTL_MS = 60 * 1000;
+const KEY_PATTERN = /^utk_([a-f0-9]{12})_([A-Za-z0-9_-]{32})$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+function toIso(value) {
+  const millis = toMillis(value);
+  return millis === null ? null : new Date(millis).toISOString();
+}
+
+function validationError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function readToken(req) {
+  const authorization = req.get('authorization') || '';
+  if (/^Bearer /i.test(authorization)) return authorization.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+function createApiKeyStore(db) {
+  const keys = db.collection('apiKeys');
+  const cache = new Map();
+
+  // Returns the key and its plain text; the plain text cannot be recovered later
+  async function create({ name, scopes, expiresAt = null }) {
+    if (!name) throw validationError('name is required');
+    const unknown = (scopes || []).filter(scope => !SCOPES.includes(scope));
+    if (!scopes?.length || unknown.length) {
+      throw validationError(`scopes must be a list of ${SCOPES.join(', ')}`);
+    }
+    if (expiresAt && !(expiresAt > new Date())) throw validationError('expiresAt must be in the future');
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = { name, scopes, hash: hashSecret(secret), createdAt: new Date(), expiresAt, revokedAt: null, lastUsedAt: null };
+    await keys.doc(id).create(record);
+
+    return { id, name, scopes, expiresAt, key: `utk_${id}_${secret}` };
+  }
+
+  async function list() {
+    const snapshot = await keys.orderBy('createdAt').get();
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        name: data.name,
+        scopes: data.scopes,
+        createdAt: toIso(data.createdAt),
+        expiresAt: toIso(data.expiresAt),
+        revokedAt: toIso(data.revokedAt),
+        lastUsedAt: toIso(data.lastUsedAt)
+      };
+    });
+  }
+
+  async function revoke(id) {
+    const ref = keys.doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw Object.assign(new Error(`No API key ${id}`), { status: 404 });
+    }
+    await ref.update({ revokedAt: new Date() });
+    cache.delete(id);
+    return { id, revoked: true };
+  }
+
+  async function loadKey(id) {
+    const cached = cache.get(id);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+    const doc = await keys.doc(id).get();
+    // Unknown IDs are not cached, so guessing cannot grow the cache
+    if (!doc.exists) return null;
+    const entry = { key: doc.data(), loadedAt: Date.now(), used: false };
+    cache.set(id, entry);
+    return entry;
+  }
+
+  // { id, name, scopes } for a valid key, otherwise null
+  async function verify(token) {
+    const match = KEY_PATTERN.exec(token || '');
+    if (!match) return null;
+    const [, id, secret] = match;
+
+    const entry = await loadKey(id);
+    if (!entry) return null;
+    const { key } = entry;
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    if (key.revokedAt || (key.expiresAt && toMillis(key.expiresAt) <= Date.now())) return null;
+
+    // lastUsedAt is written at most once per cache period
+    if (!entry.used) {
+      entry.used = true;
+      keys.doc(id).update({ lastUsedAt: new Date() }).catch(err => console.error('API key usage update failed:', err.message));
+    }
+    return { id, name: key.name, scopes: key.scopes };
+  }
+
+  // Express middleware: 401 without a valid key, 403 when it lacks `scope`
+  function requireScope(scope) {
+    if (!SCOPES.includes(scope)) throw new Error(`Unknown API key scope: ${scope}`);
+
+    return async (req, res, next) => {
+      try {
+        const token = readToken(req);
+        if (!token) {
+          return res.status(401).json({ error: 'API key required' });
+        }
+        const apiKey = await verify(token);
+        if (!apiKey) {
+          return res.status(401).json({ error: 'Invalid API key' });
+        }
+        if (!apiKey.scopes.includes(scope)) {
+          return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+        }
+        req.apiKey = apiKey;
+        next();
+      } catch (err) {
+        console.error('API key verification error:', err);
+        res.status(500).json({ error: 'Authentication failed' });
+      }
+    };
+  }
+
+  return { create, list, revoke, verify, requireScope };
+}
+
+module.exports = { createApiKeyStore, SCOPES };
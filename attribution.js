@@ -0,0 +1,105 @@
+// Confidence-scored matching of an incoming WhatsApp message to a stored click.
+// Every candidate gets a score from weighted signals in [0, 1]; the best one is
+// only assigned when it clearly stands out from the rest of the pool.
+
+const WINDOW_MS = (Number(process.env.ATTRIBUTION_WINDOW_MINUTES) || 5) * 60 * 1000;
+const MIN_CONFIDENCE = Number(process.env.ATTRIBUTION_MIN_CONFIDENCE) || 0.35;
+// A lone candidate gets full exclusivity and its whole share of the pool for
+// free, so without a phone or contact match it has to clear a higher bar: about
+// two minutes between click and message for a phone click
+const MIN_LONE_CONFIDENCE = Number(process.env.ATTRIBUTION_MIN_LONE_CONFIDENCE) || 0.5;
+const MAX_RUNNERS_UP = 3;
+
+const WEIGHTS = {
+  time: 0.45,
+  phone: 0.35,
+  device: 0.05,
+  exclusivity: 0.15
+};
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+// 1 for a click made right before the message, decaying over the window
+function timeSignal(data, now) {
+  const clickedAt = toMillis(data.click_time) || toMillis(data.timestamp);
+  if (!clickedAt) return 0;
+  const age = Math.max(0, now - clickedAt);
+  return Math.exp(-age / WINDOW_MS);
+}
+
+function phoneSignal(data, { phone, contactId }) {
+  if (phone && data.phoneNumber === phone) return 1;
+  if (contactId && data.contactId === contactId) return 1;
+  return 0;
+}
+
+// WhatsApp leads almost always come from a phone, so a desktop click is a weaker
+// candidate; clicks without device information stay neutral
+function deviceSignal(data) {
+  const deviceType = data.device_type || data.device?.type;
+  if (!deviceType) return 0.5;
+  return ['mobile', 'tablet'].includes(deviceType) ? 1 : 0.3;
+}
+
+function campaignKey(data) {
+  return [data.source, data.medium, data.campaign].join('|');
+}
+
+// Ranks candidates ({ id, data }) for one incoming message, best first
+function scoreCandidates(candidates, context) {
+  const now = context.now || Date.now();
+
+  // A campaign shared by several pending clicks makes each of them less certain
+  const campaignCounts = new Map();
+  candidates.forEach(({ data }) => {
+    const key = campaignKey(data);
+    campaignCounts.set(key, (campaignCounts.get(key) || 0) + 1);
+  });
+
+  return candidates
+    .map(({ id, data }) => {
+      const signals = {
+        time: timeSignal(data, now),
+        phone: phoneSignal(data, context),
+        device: deviceSignal(data),
+        exclusivity: 1 / campaignCounts.get(campaignKey(data))
+      };
+      const score = Object.keys(WEIGHTS)
+        .reduce((total, name) => total + WEIGHTS[name] * signals[name], 0);
+      return { id, data, score, signals };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Confidence is the winner's score weighted by its share of the whole pool,
+// so two similar candidates both end up below the threshold
+function selectAttribution(ranked) {
+  if (!ranked.length) {
+    return { winner: null, confidence: 0, best: null, runnersUp: [] };
+  }
+
+  const [best, ...rest] = ranked;
+  const total = ranked.reduce((sum, candidate) => sum + candidate.score, 0);
+  const confidence = total > 0 ? best.score * (best.score / total) : 0;
+  const summarize = (candidate) => ({
+    sessionId: candidate.id,
+    score: Number(candidate.score.toFixed(3))
+  });
+
+  const corroborated = best.signals?.phone === 1;
+  const threshold = ranked.length === 1 && !corroborated ? MIN_LONE_CONFIDENCE : MIN_CONFIDENCE;
+
+  return {
+    winner: confidence >= threshold ? best : null,
+    confidence: Number(confidence.toFixed(3)),
+    best: summarize(best),
+    runnersUp: rest.slice(0, MAX_RUNNERS_UP).map(summarize)
+  };
+}
+
+module.exports = { scoreCandidates, selectAttribution, WINDOW_MS };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Append-only record of administrative actions in the `auditLog` collection.
+// Entries never hold the personal data they refer to: subjects such as phone
+// numbers are stored as an HMAC-SHA256 keyed with a secret, so they can be
+// matched by whoever holds the key but not brute-forced from the entry alone.
+
+// Name of the secret (see secret-provider.js) that keys subject hashes
+const SUBJECT_KEY_SECRET = 'audit-subject-key';
+
+function hashSubject(value, key) {
+  return crypto.createHmac('sha256', key).update(String(value)).digest('hex');
+}
+
+// getSubjectKey: () => Promise<string>. Without it, or when the key cannot be
+// loaded, entries are written without their subject.
+function createAuditLog(db, { getSubjectKey = null } = {}) {
+  const entries = db.collection('auditLog');
+
+  async function subjectHash(subject) {
+    if (!subject || !getSubjectKey) return null;
+    try {
+      return hashSubject(subject, await getSubjectKey());
+    } catch (err) {
+      console.error('Audit subject key unavailable, recording the entry without its subject:', err.message);
+      return null;
+    }
+  }
+
+  // action: dotted name, e.g. contact.erase; actor: who asked (key, address, cli)
+  async function record(action, { actor = null, subject = null, details = {} } = {}) {
+    const ref = await entries.add({
+      action,
+      actor,
+      subjectHash: await subjectHash(subject),
+      details,
+      at: new Date()
+    });
+    return ref.id;
+  }
+
+  return { record };
+}
+
+module.exports = { createAuditLog, hashSubject, SUBJECT_KEY_SECRET };
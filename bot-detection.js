@@ -0,0 +1,68 @@
+const { BlockList, isIP } = require('net');
+
+// Flags clicks made by crawlers, ad-review bots and scripts. Flagged clicks are
+// still stored (with is_bot and bot_reason) but never picked by the scored
+// matcher and left out of campaign reports.
+
+// Crawlers, link previewers, uptime checkers and HTTP libraries
+const BOT_USER_AGENT_PATTERNS = [
+  'bot', 'crawl', 'spider', 'slurp', 'facebookexternalhit', 'facebookcatalog',
+  'meta-externalagent', 'adsbot', 'mediapartners-google', 'headlesschrome',
+  'lighthouse', 'pingdom', 'uptimerobot', 'python-requests', 'python-urllib',
+  'curl/', 'wget/', 'go-http-client', 'okhttp', 'java/', 'axios/', 'node-fetch',
+  'scrapy', 'phantomjs', 'selenium', 'puppeteer', 'playwright',
+  // BOT_USER_AGENTS: extra case-insensitive substrings, comma separated
+  ...(process.env.BOT_USER_AGENTS || '').split(',').map(pattern => pattern.trim().toLowerCase()).filter(Boolean)
+];
+
+// BOT_IP_RANGES: CIDR blocks (IPv4 or IPv6) of crawlers and data centers,
+// comma separated, e.g. 66.249.64.0/19,2a03:2880::/32
+function parseIpRanges(value) {
+  const blockList = new BlockList();
+  const ranges = (value || '').split(',').map(range => range.trim()).filter(Boolean);
+
+  ranges.forEach(range => {
+    const [address, prefix] = range.split('/');
+    const family = isIP(address);
+    if (!family || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      throw new Error(`Invalid BOT_IP_RANGES entry: ${range}`);
+    }
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    blockList.addSubnet(address, prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix), type);
+  });
+
+  return { blockList, ranges };
+}
+
+const BOT_IP_RANGES = parseIpRanges(process.env.BOT_IP_RANGES);
+
+function matchIpRange(ip) {
+  if (!BOT_IP_RANGES.ranges.length || !ip) return null;
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const family = isIP(address);
+  if (!family) return null;
+  return BOT_IP_RANGES.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4') ? address : null;
+}
+
+// { is_bot, bot_reason } for the request that made a click
+function classifyClick(req) {
+  const userAgent = String(req.get('user-agent') || '').trim();
+  if (!userAgent) {
+    return { is_bot: true, bot_reason: 'missing_user_agent' };
+  }
+
+  const lowerAgent = userAgent.toLowerCase();
+  const pattern = BOT_USER_AGENT_PATTERNS.find(candidate => lowerAgent.includes(candidate));
+  if (pattern) {
+    return { is_bot: true, bot_reason: `user_agent:${pattern}` };
+  }
+
+  if (matchIpRange(req.ip)) {
+    return { is_bot: true, bot_reason: 'ip_range' };
+  }
+
+  return { is_bot: false, bot_reason: null };
+}
+
+module.exports = { classifyClick };
@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// UTM values recorded for messages that cannot be matched to a click
+const DEFAULT_UTM = {
+  source: 'direct_message',
+  medium: 'whatsapp',
+  campaign: 'organic',
+  content: 'none'
+};
+
+// Used when no registry is configured, so single-brand deployments keep working
+const LEGACY_CHANNELS = [{
+  number: '919137279145',
+  brand: 'american_hairline'
+}];
+
+function normalizeNumber(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+// A contact's number as the webhook processor stores it: digits only, without
+// leading zeros, prefixed with the country code when it lacks it
+function normalizePhone(phone, countryCode) {
+  const digits = normalizeNumber(phone).replace(/^0+/, '');
+  return digits && !digits.startsWith(countryCode) ? `${countryCode}${digits}` : digits;
+}
+
+function normalizeChannel(raw) {
+  const number = normalizeNumber(raw.number);
+  if (!number || !raw.brand) {
+    throw new Error(`Invalid channel entry: ${JSON.stringify(raw)}`);
+  }
+
+  return {
+    number,
+    brand: raw.brand,
+    countryCode: raw.countryCode || '91',
+    // `source` stays direct_message: the direct-conversation lookup and the
+    // Sheets sync filter rely on it to recognise unattributed messages
+    defaultUtm: { ...DEFAULT_UTM, ...(raw.defaultUtm || {}), source: DEFAULT_UTM.source },
+    spreadsheetId: raw.spreadsheetId || process.env.SHEETS_SPREADSHEET_ID,
+    sheetName: raw.sheetName || 'Sheet1',
+    // Prefilled WhatsApp text for /go links; the reference code is appended to it
+    greeting: raw.greeting || "Hi, I'd like to know more."
+  };
+}
+
+// Channel entries come from CHANNELS_CONFIG_PATH (a JSON array) when set,
+// otherwise from the Firestore `channels` collection
+async function loadChannelEntries(db) {
+  const configPath = process.env.CHANNELS_CONFIG_PATH;
+  if (configPath) {
+    const entries = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${configPath} must contain an array of channels`);
+    }
+    return entries;
+  }
+
+  const snapshot = await db.collection('channels').get();
+  return snapshot.docs.map(doc => ({ number: doc.id, ...doc.data() }));
+}
+
+function createChannelRegistry(db) {
+  let channels = null;
+  let loadedAt = 0;
+
+  async function getChannels() {
+    if (channels && Date.now() - loadedAt < CACHE_TTL_MS) return channels;
+
+    try {
+      const entries = await loadChannelEntries(db);
+      channels = (entries.length ? entries : LEGACY_CHANNELS).map(normalizeChannel);
+      loadedAt = Date.now();
+    } catch (err) {
+      // Keep serving the previous registry if a reload fails
+      if (!channels) throw err;
+      console.error('Channel registry reload failed, using cached channels:', err.message);
+    }
+    return channels;
+  }
+
+  async function findByNumber(number) {
+    const normalized = normalizeNumber(number);
+    return (await getChannels()).find(channel => channel.number === normalized) || null;
+  }
+
+  async function findByBrand(brand) {
+    return (await getChannels()).find(channel => channel.brand === brand) || null;
+  }
+
+  // Brand for an incoming click: the requested brand when it is registered,
+  // or the only channel's brand when the deployment serves a single brand
+  async function resolveBrand(requestedBrand) {
+    const all = await getChannels();
+    if (requestedBrand) {
+      return all.some(channel => channel.brand === requestedBrand) ? requestedBrand : null;
+    }
+    return all.length === 1 ? all[0].brand : null;
+  }
+
+  // A number given by an operator, normalized like the senders' numbers: with
+  // `countryCode`, or else the registered channels' when the number starts with
+  // one of them or they all share one. Null when that is ambiguous.
+  async function normalizeContactPhone(phone, countryCode) {
+    if (countryCode) return normalizePhone(phone, normalizeNumber(countryCode));
+
+    const codes = [...new Set((await getChannels()).map(channel => channel.countryCode))];
+    const digits = normalizePhone(phone, '');
+    if (!digits || codes.some(code => digits.startsWith(code))) return digits;
+    return codes.length === 1 ? normalizePhone(phone, codes[0]) : null;
+  }
+
+  return { getChannels, findByNumber, findByBrand, resolveBrand, normalizeContactPhone };
+}
+
+module.exports = { createChannelRegistry, normalizeNumber, normalizePhone, DEFAULT_UTM };
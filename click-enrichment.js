@@ -0,0 +1,88 @@
+const maxmind = require('maxmind');
+const UAParser = require('ua-parser-js');
+
+// Extra click fields derived from the request: ad click IDs, referrer and
+// landing page, country (from a local MaxMind database at GEOIP_DB_PATH) and
+// the device, OS and browser parsed from the user agent.
+
+const CLICK_ID_PARAMS = ['fbclid', 'gclid', 'ttclid', 'msclkid'];
+const MAX_URL_LENGTH = 2048;
+
+// Click IDs are opaque URL-safe tokens; anything else is dropped
+const CLICK_ID_PATTERN = /^[\w.~-]{1,500}$/;
+
+function normalizeClickId(value) {
+  const text = String(value ?? '').trim();
+  return CLICK_ID_PATTERN.test(text) ? text : null;
+}
+
+// Absolute http(s) URL without its fragment, or null
+function normalizeUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(String(value));
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url.hash = '';
+    return url.toString().slice(0, MAX_URL_LENGTH);
+  } catch (err) {
+    return null;
+  }
+}
+
+let geoReader = null;
+
+// Opened on first use; without GEOIP_DB_PATH, or if it cannot be read, country stays null
+function getGeoReader() {
+  if (!process.env.GEOIP_DB_PATH) return Promise.resolve(null);
+  if (!geoReader) {
+    geoReader = maxmind.open(process.env.GEOIP_DB_PATH).catch(err => {
+      console.error('GeoIP database could not be opened:', err.message);
+      return null;
+    });
+  }
+  return geoReader;
+}
+
+// ISO country code of a GeoLite2/GeoIP2 Country or City database
+async function lookupCountry(ip) {
+  const address = (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const reader = await getGeoReader();
+  if (!reader || !maxmind.validate(address)) return null;
+
+  const result = reader.get(address);
+  return result?.country?.iso_code || result?.registered_country?.iso_code || null;
+}
+
+function parseUserAgent(userAgent) {
+  if (!userAgent) return { device_type: null, os: null, browser: null };
+
+  const { device, os, browser } = new UAParser(userAgent).getResult();
+  return {
+    // ua-parser only sets a type for non-desktop devices
+    device_type: device.type || 'desktop',
+    os: os.name || null,
+    browser: browser.name || null
+  };
+}
+
+// Fields to store on the click. Click IDs come from the tracked params, or
+// else from the landing page query string.
+async function enrichClick(req, { params = {}, referrer = null, landingPage = null } = {}) {
+  const landingUrl = normalizeUrl(landingPage);
+  const landingParams = landingUrl ? new URL(landingUrl).searchParams : new URLSearchParams();
+
+  const clickIds = {};
+  CLICK_ID_PARAMS.forEach(key => {
+    clickIds[key] = normalizeClickId(params[key] || landingParams.get(key));
+  });
+
+  return {
+    ...clickIds,
+    referrer: normalizeUrl(referrer),
+    landing_page: landingUrl,
+    country: await lookupCountry(req.ip),
+    ...parseUserAgent(req.get('user-agent'))
+  };
+}
+
+module.exports = { enrichClick };
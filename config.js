@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+// Where the backing services are. The defaults are production: the service
+// account key in /secrets/secrets, the utm-tracker-db Firestore database,
+// Secret Manager and Google Sheets. docker-compose.yml points them at the
+// Firestore emulator, env var secrets and the in-process fake Sheets client.
+
+const SHEETS_BACKENDS = ['google', 'fake'];
+
+// Set for the Firestore emulator; both Firestore clients connect to it on their own
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || null;
+
+const config = {
+  // The emulator accepts any project ID
+  projectId: process.env.GCP_PROJECT_ID || (emulatorHost ? 'utm-tracker-local' : undefined),
+  credentialsPath: process.env.GCP_CREDENTIALS_PATH || '/secrets/secrets',
+  firestore: {
+    databaseId: process.env.FIRESTORE_DATABASE_ID || 'utm-tracker-db',
+    emulatorHost
+  },
+  // false: secrets only come from SECRET_* env vars and SECRETS_DIR
+  useSecretManager: process.env.USE_SECRET_MANAGER !== 'false',
+  // fake: fake-sheets.js, which keeps the rows in memory and logs them
+  sheetsBackend: process.env.SHEETS_BACKEND || 'google'
+};
+
+if (!SHEETS_BACKENDS.includes(config.sheetsBackend)) {
+  throw new Error(`SHEETS_BACKEND must be one of ${SHEETS_BACKENDS.join(', ')}`);
+}
+
+// Options for a @google-cloud/firestore client. The emulator takes no credentials.
+function firestoreSettings() {
+  return {
+    projectId: config.projectId,
+    databaseId: config.firestore.databaseId,
+    ...(!emulatorHost && { keyFilename: config.credentialsPath })
+  };
+}
+
+module.exports = { config, firestoreSettings };
@@ -0,0 +1,94 @@
+const admin = require('firebase-admin');
+
+function validationError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Checks a POST /conversions body and returns the normalized conversion
+function parseConversion(body) {
+  const phone = body.phone ? String(body.phone).replace(/\D/g, '') : null;
+  const contactId = body.contactId ? String(body.contactId) : null;
+  if (!phone && !contactId) throw validationError('phone or contactId is required');
+
+  const event = typeof body.event === 'string' ? body.event.trim() : '';
+  if (!event || event.length > 100) throw validationError('event must be a name of 1-100 characters');
+
+  const value = body.value === undefined ? 0 : Number(body.value);
+  if (!Number.isFinite(value) || value < 0) throw validationError('value must be a non-negative number');
+
+  const currency = String(body.currency || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) throw validationError('currency must be an ISO 4217 code');
+
+  const occurredAt = body.occurred_at ? new Date(body.occurred_at) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) throw validationError('occurred_at must be a date');
+
+  const eventId = body.event_id ? String(body.event_id) : null;
+  if (eventId && !/^[\w.:-]{1,128}$/.test(eventId)) throw validationError('event_id has invalid characters');
+
+  return { phone, contactId, event, value, currency, occurredAt, eventId };
+}
+
+function createConversionStore(db) {
+  const conversions = db.collection('conversions');
+  const clicks = db.collection('utmClicks');
+
+  // The most recently engaged session of the contact carries its attribution
+  async function findAttributedSession({ phone, contactId }) {
+    const snapshot = phone
+      ? await clicks.where('phoneNumber', '==', phone).get()
+      : await clicks.where('contactId', '==', contactId).get();
+
+    const engaged = snapshot.docs.filter(doc => doc.data().hasEngaged && doc.data().engagedAt);
+    engaged.sort((a, b) => b.data().engagedAt.toMillis() - a.data().engagedAt.toMillis());
+    return engaged[0] || null;
+  }
+
+  // Stores the conversion and adds it to the session totals. With an event_id
+  // a repeated request returns the stored conversion instead of counting twice.
+  async function recordConversion(conversion) {
+    const session = await findAttributedSession(conversion);
+    const sessionData = session ? session.data() : {};
+    const docRef = conversion.eventId ? conversions.doc(conversion.eventId) : conversions.doc();
+
+    const record = {
+      event: conversion.event,
+      value: conversion.value,
+      currency: conversion.currency,
+      occurredAt: conversion.occurredAt,
+      createdAt: new Date(),
+      phoneNumber: conversion.phone || sessionData.phoneNumber || null,
+      contactId: conversion.contactId || sessionData.contactId || null,
+      sessionId: session ? session.id : null,
+      brand: sessionData.brand || null,
+      source: sessionData.source || null,
+      medium: sessionData.medium || null,
+      campaign: sessionData.campaign || null,
+      content: sessionData.content || null,
+      attribution_source: sessionData.attribution_source || null
+    };
+
+    const created = await db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(docRef);
+      if (existing.exists) return false;
+
+      transaction.set(docRef, record);
+      if (session) {
+        transaction.update(session.ref, {
+          conversionCount: admin.firestore.FieldValue.increment(1),
+          [`conversionValues.${conversion.currency}`]: admin.firestore.FieldValue.increment(conversion.value),
+          lastConversionEvent: conversion.event,
+          lastConversionAt: conversion.occurredAt,
+          syncedToSheets: false
+        });
+      }
+      return true;
+    });
+
+    const stored = created ? record : (await docRef.get()).data();
+    return { id: docRef.id, created, ...stored };
+  }
+
+  return { recordConversion };
+}
+
+module.exports = { createConversionStore, parseConversion };
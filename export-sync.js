@@ -0,0 +1,435 @@
+const { Firestore, FieldValue, Timestamp } = require('@google-cloud/firestore');
+const os = require('os');
+const crypto = require('crypto');
+const { createChannelRegistry } = require('./channel-registry');
+const { DEAD_LETTER_COLLECTION, MAX_SYNC_ATTEMPTS } = require('./sync-dead-letters');
+const { toExportRecord } = require('./session-export');
+const { createSinks } = require('./sinks');
+const { firestoreSettings } = require('./config');
+
+// Sessions claimed per worker pass, and how long a claim holds before another
+// instance may take the session over (a crashed worker never releases it)
+const BATCH_SIZE = 250;
+// Queued sessions read per pass at most while looking for ones that are due
+const MAX_SCANNED = BATCH_SIZE * 4;
+const LEASE_MS = Number(process.env.SHEETS_SYNC_LEASE_SECONDS || 120) * 1000;
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// A failed session waits RETRY_BASE_MS before its next attempt, doubling with
+// every further failure up to RETRY_MAX_MS
+const RETRY_BASE_MS = Number(process.env.SHEETS_SYNC_RETRY_BASE_SECONDS || 60) * 1000;
+const RETRY_MAX_MS = Number(process.env.SHEETS_SYNC_RETRY_MAX_SECONDS || 1800) * 1000;
+
+// Fields the sync itself writes; they are not part of what sinks export
+const SYNC_FIELDS = [
+  'syncedToSheets', 'syncStatus', 'syncLease', 'syncAttempts', 'nextAttemptAt', 'lastSyncError',
+  'lastSynced', 'sheetRow', 'sinks'
+];
+
+// Sorted key/value pairs, so equal records always serialize the same way
+function canonical(value) {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+  }
+  return value;
+}
+
+// Hash of the session content. A sink that already holds this revision is
+// skipped when the session is synced again (e.g. after another sink failed).
+function revisionOf(data) {
+  const content = { ...data };
+  SYNC_FIELDS.forEach(field => delete content[field]);
+  return crypto.createHash('sha1').update(JSON.stringify(canonical(content))).digest('hex');
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// gRPC codes of a failed lastUpdateTime precondition and of a deleted document
+const FAILED_PRECONDITION = 9;
+const NOT_FOUND = 5;
+
+function createExportSync({ db, sinks }) {
+  // Sessions waiting for export. Writers queue a session by setting
+  // syncedToSheets: false (the name predates other sinks); a worker claims it
+  // with a lease, writes it to every sink and only then marks it synced.
+  function pendingQuery() {
+    return db.collection('utmClicks')
+      .where('hasEngaged', '==', true)
+      .where('syncedToSheets', '==', false)
+      .where('source', '!=', 'direct_message');
+  }
+
+  // Claims pending sessions nobody else holds a live lease on and that are not
+  // waiting out a retry delay. The claim is conditional on the update time read
+  // by the query, so only one worker can claim a session. Returns the claimed
+  // snapshots with the claim's write time, and when the earliest skipped
+  // session is due.
+  async function claimBatch() {
+    const now = Date.now();
+    const claims = [];
+    let retryAt = null;
+    let last = null;
+
+    // Skipped sessions would otherwise fill every batch, so later pages are
+    // read until the batch is full
+    for (let scanned = 0; scanned < MAX_SCANNED && claims.length < BATCH_SIZE;) {
+      let query = pendingQuery().limit(BATCH_SIZE);
+      if (last) query = query.startAfter(last);
+      const snapshot = await query.get();
+      scanned += snapshot.size;
+
+      const due = snapshot.docs.filter(doc => {
+        const { syncLease, nextAttemptAt } = doc.data();
+        if (syncLease && syncLease.expiresAt.toMillis() > now) return false;
+        if (nextAttemptAt && nextAttemptAt.toMillis() > now) {
+          retryAt = Math.min(retryAt ?? Infinity, nextAttemptAt.toMillis());
+          return false;
+        }
+        return true;
+      });
+
+      await Promise.all(due.slice(0, BATCH_SIZE - claims.length).map(async doc => {
+        try {
+          const { writeTime } = await doc.ref.update({
+            syncLease: { owner: WORKER_ID, expiresAt: Timestamp.fromMillis(now + LEASE_MS) }
+          }, { lastUpdateTime: doc.updateTime });
+          claims.push({ doc, claimedAt: writeTime, revision: revisionOf(doc.data()), sinkUpdates: {}, errors: {} });
+        } catch (err) {
+          if (err.code !== FAILED_PRECONDITION && err.code !== NOT_FOUND) throw err;
+        }
+      }));
+
+      if (snapshot.size < BATCH_SIZE) break;
+      last = snapshot.docs[snapshot.size - 1];
+    }
+
+    return { claims, retryAt };
+  }
+
+  // Gives a session back to the queue, keeping the sink states of this pass
+  async function releaseClaim({ doc, sinkUpdates }) {
+    await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+      if (!current.exists || current.data().syncLease?.owner !== WORKER_ID) return;
+      transaction.update(doc.ref, { syncLease: FieldValue.delete(), ...sinkUpdates });
+    });
+  }
+
+  // Counts a failed pass against the session and holds it back until
+  // `nextAttemptAt`, which is returned. Once it reaches MAX_SYNC_ATTEMPTS the
+  // session leaves the queue (syncedToSheets: null) and its record is kept in
+  // the dead-letter collection for the admin endpoints.
+  async function failClaim({ doc, sinkUpdates, errors }) {
+    const error = Object.entries(errors).map(([name, message]) => `${name}: ${message}`).join('; ');
+
+    return db.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+      if (!current.exists || current.data().syncLease?.owner !== WORKER_ID) return null;
+
+      const attempts = (current.data().syncAttempts || 0) + 1;
+      const nextAttemptAt = Date.now() + retryDelay(attempts);
+      const update = {
+        syncLease: FieldValue.delete(),
+        syncAttempts: attempts,
+        nextAttemptAt: Timestamp.fromMillis(nextAttemptAt),
+        lastSyncError: error,
+        ...sinkUpdates
+      };
+
+      if (attempts >= MAX_SYNC_ATTEMPTS) {
+        transaction.set(db.collection(DEAD_LETTER_COLLECTION).doc(doc.id), {
+          sessionId: doc.id,
+          error,
+          sinks: errors,
+          attempts,
+          payload: toExportRecord(current),
+          failedAt: FieldValue.serverTimestamp()
+        });
+        Object.assign(update, { syncedToSheets: null, syncStatus: 'dead_letter', nextAttemptAt: FieldValue.delete() });
+        console.error(`☠️ Dead-lettered ${doc.id} after ${attempts} attempts: ${error}`);
+      }
+
+      transaction.update(doc.ref, update);
+      return attempts >= MAX_SYNC_ATTEMPTS ? null : nextAttemptAt;
+    });
+  }
+
+  // Marks a written session synced unless it changed after it was claimed (a
+  // new message or conversion); then it stays queued and is written again.
+  async function commitClaim(claim) {
+    try {
+      await claim.doc.ref.update({
+        syncedToSheets: true,
+        syncStatus: 'synced',
+        lastSynced: FieldValue.serverTimestamp(),
+        syncLease: FieldValue.delete(),
+        syncAttempts: FieldValue.delete(),
+        nextAttemptAt: FieldValue.delete(),
+        lastSyncError: FieldValue.delete(),
+        ...claim.sinkUpdates
+      }, { lastUpdateTime: claim.claimedAt });
+      // A session dead-lettered earlier made it after a later change
+      if (claim.doc.data().syncStatus === 'dead_letter') {
+        await db.collection(DEAD_LETTER_COLLECTION).doc(claim.doc.id).delete();
+      }
+      return true;
+    } catch (err) {
+      if (err.code === NOT_FOUND) return false;
+      if (err.code !== FAILED_PRECONDITION) throw err;
+      await releaseClaim(claim);
+      return false;
+    }
+  }
+
+  // Hands the claimed sessions a sink does not hold yet to it and records the
+  // outcome per session under `sinks.<name>`
+  async function writeToSink(sink, claims) {
+    const pending = claims.filter(({ doc, revision }) => {
+      const state = doc.data().sinks?.[sink.name];
+      return !(state?.status === 'synced' && state.revision === revision);
+    });
+    if (!pending.length) return { written: 0, failed: 0 };
+
+    let outcome;
+    try {
+      outcome = await sink.write(pending.map(claim => claim.doc));
+    } catch (err) {
+      outcome = { written: new Map(), failed: new Map(pending.map(claim => [claim.doc.id, err])) };
+    }
+
+    let written = 0;
+    pending.forEach(claim => {
+      const { id } = claim.doc;
+      if (outcome.written.has(id)) {
+        written++;
+        claim.sinkUpdates[`sinks.${sink.name}`] = {
+          status: 'synced',
+          revision: claim.revision,
+          syncedAt: FieldValue.serverTimestamp(),
+          ...outcome.written.get(id)
+        };
+      } else {
+        const message = outcome.failed.get(id)?.message || 'Not written';
+        claim.errors[sink.name] = message;
+        // Only status and error, so state like the Sheets row survives
+        claim.sinkUpdates[`sinks.${sink.name}.status`] = 'error';
+        claim.sinkUpdates[`sinks.${sink.name}.error`] = message;
+      }
+    });
+
+    return { written, failed: pending.length - written };
+  }
+
+  // One pass of the outbox worker: claim, fan out to every sink, commit.
+  // Sessions any sink failed on count one attempt and are released with a
+  // retry delay (or dead-lettered); the sinks that did take them are not
+  // written again. `retryAt` is when the next held-back session is due.
+  async function runSyncWorker() {
+    const { claims, retryAt: skippedRetryAt } = await claimBatch();
+    if (!claims.length) {
+      return { count: 0, failed: 0, sinks: {}, retryAt: skippedRetryAt };
+    }
+    console.log(`🔍 Claimed ${claims.length} documents to sync`);
+
+    const results = {};
+    try {
+      for (const sink of sinks) {
+        results[sink.name] = await writeToSink(sink, claims);
+      }
+    } catch (err) {
+      await Promise.all(claims.map(claim => releaseClaim(claim).catch(releaseErr => {
+        console.error(`❌ Failed to release ${claim.doc.id}:`, releaseErr.message);
+      })));
+      throw err;
+    }
+
+    const failedClaims = claims.filter(claim => Object.keys(claim.errors).length);
+    const committed = await Promise.all(claims
+      .filter(claim => !failedClaims.includes(claim))
+      .map(claim => commitClaim(claim)));
+    const retryTimes = await Promise.all(failedClaims.map(claim => failClaim(claim).catch(failErr => {
+      console.error(`❌ Failed to release ${claim.doc.id}:`, failErr.message);
+      return null;
+    })));
+
+    console.log('✅ Firestore documents updated');
+    const retryAt = [skippedRetryAt, ...retryTimes].filter(Boolean);
+    return {
+      count: committed.filter(Boolean).length,
+      failed: failedClaims.length,
+      sinks: results,
+      retryAt: retryAt.length ? Math.min(...retryAt) : null
+    };
+  }
+
+  // Wakes the worker when the earliest held-back session is due, so retries
+  // do not wait for the next change or scheduled run
+  let retryTimer = null;
+  let retryTimerAt = null;
+
+  function scheduleRetry(retryAt) {
+    if (!retryAt || (retryTimer && retryTimerAt <= retryAt)) return;
+    clearTimeout(retryTimer);
+    retryTimerAt = retryAt;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      triggerSync().catch(err => console.error('❌ Retry sync error:', err));
+    }, Math.max(retryAt - Date.now(), 0));
+    retryTimer.unref();
+  }
+
+  // Runs one worker pass. Sessions that fail already count an attempt and wait
+  // out their retry delay, so only errors that stop the whole pass (Firestore
+  // unavailable, a sink throwing outside write) are retried here.
+  async function runExportSync() {
+    const MAX_RETRIES = 3;
+    let attempt = 0;
+
+    console.log(`🔄 Starting sync (Attempt ${attempt + 1}/${MAX_RETRIES})`);
+
+    while (attempt < MAX_RETRIES) {
+      try {
+        const result = await runSyncWorker();
+
+        if (!Object.keys(result.sinks).length) {
+          console.log('ℹ️ No new records to sync');
+        }
+        if (result.failed) {
+          console.error(`⚠️ ${result.failed} sessions failed to export and will be retried`);
+        }
+        scheduleRetry(result.retryAt);
+        return result;
+
+      } catch (err) {
+        attempt++;
+        console.error(`❌ Attempt ${attempt} failed:`, err.message);
+
+        if (attempt >= MAX_RETRIES) {
+          console.error('💥 Maximum retries exceeded');
+          throw new Error(`Final sync failure: ${err.message}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+      }
+    }
+  }
+
+  async function scheduledSync() {
+    const startTime = Date.now();
+    const result = {
+      success: false,
+      duration: 0,
+      syncedCount: 0
+    };
+
+    try {
+      const syncResult = await runExportSync();
+      result.success = true;
+      result.syncedCount = syncResult.count;
+      result.failedCount = syncResult.failed;
+      result.duration = Date.now() - startTime;
+      result.sinks = syncResult.sinks;
+    } catch (err) {
+      result.error = err.message;
+      result.retryable = err.message.includes('quota') || err.code === 429;
+    } finally {
+      result.timestamp = new Date().toISOString();
+      console.log('⏱️ Sync result:', result);
+      return result;
+    }
+  }
+
+  // Runs the worker once at a time in this process; triggers that arrive while
+  // it runs are folded into one more pass
+  let activeSync = null;
+  let syncRequested = false;
+
+  function triggerSync() {
+    syncRequested = true;
+    if (activeSync) return activeSync;
+
+    activeSync = (async () => {
+      while (syncRequested) {
+        syncRequested = false;
+        await runExportSync();
+      }
+    })().finally(() => {
+      activeSync = null;
+    });
+    return activeSync;
+  }
+
+  async function setupRealtimeSync() {
+    console.log('🔄 Setting up real-time Firestore to Sheets sync');
+
+    try {
+      // Content revision per queued session. The worker's own writes (leases,
+      // attempts, retry delays) leave it unchanged and must not wake the
+      // worker again, or a failing sink would be retried in a tight loop.
+      const revisions = new Map();
+
+      // The listener only wakes the worker; claiming and writing happen there
+      const unsubscribe = pendingQuery().onSnapshot((snapshot) => {
+        let changed = false;
+        snapshot.docChanges().forEach(({ type, doc }) => {
+          if (type === 'removed') {
+            revisions.delete(doc.id);
+            return;
+          }
+          const revision = revisionOf(doc.data());
+          if (revisions.get(doc.id) !== revision) changed = true;
+          revisions.set(doc.id, revision);
+        });
+        if (!changed) {
+          return;
+        }
+
+        console.log('🔥 Real-time sync triggered');
+        triggerSync()
+          .then(() => console.log('✅ Real-time sync completed'))
+          .catch(err => console.error('❌ Real-time sync error:', err));
+      }, (error) => {
+        console.error('🚨 Listener error:', error);
+        // Attempt to recreate the listener after a delay
+        setTimeout(() => setupRealtimeSync(), 60000);
+      });
+
+      // Stops the listener and any pending retry wake-up
+      return () => {
+        unsubscribe();
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      };
+    } catch (err) {
+      console.error('💥 Failed to set up real-time sync:', err);
+      // Attempt to recreate the listener after a delay
+      setTimeout(() => setupRealtimeSync(), 60000);
+    }
+  }
+
+  return { runSyncWorker, runExportSync, scheduledSync, triggerSync, setupRealtimeSync };
+}
+
+// The service's sync, over the native GCP Firestore SDK and the sinks in
+// EXPORT_SINKS; created on first use
+let defaultSync = null;
+
+function exportSync() {
+  if (!defaultSync) {
+    const db = new Firestore(firestoreSettings());
+    const channelRegistry = createChannelRegistry(db);
+    defaultSync = createExportSync({ db, sinks: createSinks({ db, channelRegistry }) });
+  }
+  return defaultSync;
+}
+
+module.exports = {
+  createExportSync,
+  runExportSync: () => exportSync().runExportSync(),
+  scheduledSync: () => exportSync().scheduledSync(),
+  setupRealtimeSync: () => exportSync().setupRealtimeSync()
+};
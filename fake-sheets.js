@@ -0,0 +1,164 @@
+// In-process stand-in for the Google Sheets v4 client (SHEETS_BACKEND=fake),
+// for local development and offline tests. Spreadsheets are created with a
+// Sheet1 on first use and kept in memory. Only the calls sinks/sheets.js makes
+// are implemented; appended rows are logged and kept in `appended`.
+
+function columnNumber(letters) {
+  return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+function columnLetter(number) {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// 'Sheet1'!A2:C5, 'Sheet1'!1:1, 'Sheet1'!B:B and 'Sheet1'!A:Q; an open end
+// runs to the edge of the sheet
+function parseRange(range) {
+  const match = /^'((?:[^']|'')+)'!([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/.exec(range);
+  if (!match) throw new Error(`Unable to parse range: ${range}`);
+  const [, sheetName, startColumn, startRow, endColumn, endRow] = match;
+  const firstColumn = startColumn ? columnNumber(startColumn) : 1;
+  const firstRow = startRow ? Number(startRow) : 1;
+
+  if (endColumn === undefined) {
+    return { sheetName: sheetName.replace(/''/g, "'"), firstColumn, firstRow, lastColumn: firstColumn, lastRow: firstRow };
+  }
+  return {
+    sheetName: sheetName.replace(/''/g, "'"),
+    firstColumn,
+    firstRow,
+    lastColumn: endColumn ? columnNumber(endColumn) : Infinity,
+    lastRow: endRow ? Number(endRow) : Infinity
+  };
+}
+
+function createFakeSheetsClient() {
+  // spreadsheetId -> Map of sheet name -> { sheetId, columnCount, rows }
+  const spreadsheets = new Map();
+  const appended = [];
+
+  function spreadsheet(spreadsheetId) {
+    if (!spreadsheets.has(spreadsheetId)) {
+      spreadsheets.set(spreadsheetId, new Map([['Sheet1', { sheetId: 0, columnCount: 26, rows: [] }]]));
+    }
+    return spreadsheets.get(spreadsheetId);
+  }
+
+  function sheetFor(spreadsheetId, sheetName) {
+    const sheet = spreadsheet(spreadsheetId).get(sheetName);
+    if (!sheet) throw new Error(`Unable to parse range: no sheet named ${sheetName}`);
+    return sheet;
+  }
+
+  // Rows up to the last one with a value, like the API returns them
+  function usedRows(sheet) {
+    let count = sheet.rows.length;
+    while (count && !(sheet.rows[count - 1] || []).some(cell => cell !== '')) count--;
+    return count;
+  }
+
+  // null leaves a cell as it is
+  function writeRows(spreadsheetId, range, values) {
+    const { sheetName, firstColumn, firstRow } = parseRange(range);
+    const sheet = sheetFor(spreadsheetId, sheetName);
+    values.forEach((row, i) => {
+      if (firstColumn - 1 + row.length > sheet.columnCount) {
+        throw new Error(`Range ${range} exceeds grid limits of ${sheetName}`);
+      }
+      const cells = sheet.rows[firstRow - 1 + i] || [];
+      row.forEach((value, j) => {
+        if (value !== null) cells[firstColumn - 1 + j] = String(value ?? '');
+      });
+      sheet.rows[firstRow - 1 + i] = Array.from(cells, cell => cell ?? '');
+    });
+  }
+
+  const client = {
+    spreadsheets: {
+      async get({ spreadsheetId }) {
+        const sheets = [...spreadsheet(spreadsheetId)].map(([title, sheet]) => ({
+          properties: { sheetId: sheet.sheetId, title, gridProperties: { columnCount: sheet.columnCount } }
+        }));
+        return { data: { properties: { title: `Fake spreadsheet ${spreadsheetId}` }, sheets } };
+      },
+
+      async batchUpdate({ spreadsheetId, resource }) {
+        const sheets = spreadsheet(spreadsheetId);
+        resource.requests.forEach(request => {
+          if (request.addSheet) {
+            const { title, gridProperties } = request.addSheet.properties;
+            if (sheets.has(title)) throw new Error(`A sheet with the name "${title}" already exists`);
+            sheets.set(title, { sheetId: sheets.size, columnCount: gridProperties?.columnCount || 26, rows: [] });
+          } else if (request.appendDimension?.dimension === 'COLUMNS') {
+            const sheet = [...sheets.values()].find(s => s.sheetId === request.appendDimension.sheetId);
+            sheet.columnCount += request.appendDimension.length;
+          } else {
+            throw new Error(`Fake Sheets does not support ${Object.keys(request).join(', ')}`);
+          }
+        });
+        return { data: {} };
+      },
+
+      values: {
+        async get({ spreadsheetId, range }) {
+          const { sheetName, firstColumn, firstRow, lastColumn, lastRow } = parseRange(range);
+          const sheet = sheetFor(spreadsheetId, sheetName);
+          const values = Array.from(sheet.rows.slice(firstRow - 1, Math.min(lastRow, usedRows(sheet))), (row = []) => {
+            const cells = row.slice(firstColumn - 1, lastColumn);
+            while (cells.length && cells[cells.length - 1] === '') cells.pop();
+            return cells;
+          });
+          while (values.length && !values[values.length - 1].length) values.pop();
+          return { data: { range, values: values.length ? values : undefined } };
+        },
+
+        async update({ spreadsheetId, range, resource }) {
+          writeRows(spreadsheetId, range, resource.values);
+          return { data: { updatedRange: range } };
+        },
+
+        async batchUpdate({ spreadsheetId, resource }) {
+          resource.data.forEach(({ range, values }) => writeRows(spreadsheetId, range, values));
+          return { data: { totalUpdatedRows: resource.data.length } };
+        },
+
+        // Writes after the last row with a value, from the first column of the range
+        async append({ spreadsheetId, range, resource }) {
+          const { sheetName, firstColumn } = parseRange(range);
+          const sheet = sheetFor(spreadsheetId, sheetName);
+          const firstRow = usedRows(sheet) + 1;
+          const lastRow = firstRow + resource.values.length - 1;
+          const width = Math.max(...resource.values.map(row => row.length));
+          const quoted = `'${sheetName.replace(/'/g, "''")}'`;
+          writeRows(spreadsheetId, `${quoted}!${columnLetter(firstColumn)}${firstRow}`, resource.values.map(row => row.map(value => value ?? '')));
+
+          const headers = sheet.rows[0] || [];
+          resource.values.forEach((row, i) => {
+            appended.push({ spreadsheetId, sheetName, row: firstRow + i, values: row });
+            const record = Object.fromEntries(row.map((value, j) => [headers[firstColumn - 1 + j] || columnLetter(firstColumn + j), value]));
+            console.log(`🧪 Fake sheet ${spreadsheetId}/${sheetName} row ${firstRow + i}:`, JSON.stringify(record));
+          });
+
+          const updatedRange = `${quoted}!${columnLetter(firstColumn)}${firstRow}:${columnLetter(firstColumn + width - 1)}${lastRow}`;
+          return { data: { updates: { updatedRange, updatedRows: resource.values.length } } };
+        }
+      }
+    }
+  };
+
+  // Cell values of a sheet, for assertions in tests
+  function rows(spreadsheetId, sheetName = 'Sheet1') {
+    return Array.from(sheetFor(spreadsheetId, sheetName).rows, (row = []) => [...row]);
+  }
+
+  return { ...client, appended, rows };
+}
+
+// Shared by every Sheets sink in the process
+const fakeSheetsClient = createFakeSheetsClient();
+
+module.exports = { createFakeSheetsClient, fakeSheetsClient };
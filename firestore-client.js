@@ -0,0 +1,44 @@
+const admin = require('firebase-admin');
+const fs = require('fs/promises');
+const { config } = require('./config');
+
+// Initializes firebase-admin against the tracker database and waits until
+// Firestore answers. Shared by the server and the admin command.
+async function initFirestore() {
+  if (config.firestore.emulatorHost) {
+    // firebase-admin connects to FIRESTORE_EMULATOR_HOST itself, without credentials
+    console.log(`Using the Firestore emulator at ${config.firestore.emulatorHost}`);
+    admin.initializeApp({ projectId: config.projectId });
+  } else {
+    // Load credentials
+    const serviceAccount = JSON.parse(await fs.readFile(config.credentialsPath));
+
+    // Initialize Firebase
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL: `https://${config.projectId}.firebaseio.com`,
+    });
+  }
+
+  const db = admin.firestore();
+  db.settings({
+    databaseId: config.firestore.databaseId,
+    timeout: 10000,
+  });
+
+  // Verify Firestore connection
+  const maxRetries = 3;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await db.listCollections();
+      return db;
+    } catch (err) {
+      console.error(`Firestore connection attempt ${attempt} failed:`, err);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+
+  throw new Error('Failed to connect to Firestore');
+}
+
+module.exports = { initFirestore };
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+// Offline export of engaged leads and conversions to the Meta Conversions API.
+// Meta rejects events older than seven days, so only that window is scanned.
+const LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const BATCH_SIZE = Math.min(Number(process.env.META_CAPI_BATCH_SIZE) || 500, 1000);
+const MAX_RETRIES = 3;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+function endpointUrl() {
+  if (process.env.META_CAPI_ENDPOINT) return process.env.META_CAPI_ENDPOINT;
+  if (!process.env.META_PIXEL_ID) throw new Error('META_PIXEL_ID or META_CAPI_ENDPOINT must be set');
+  return `https://graph.facebook.com/v19.0/${process.env.META_PIXEL_ID}/events`;
+}
+
+function buildUserData(data) {
+  const userData = {};
+  const phone = (data.phoneNumber || '').replace(/\D/g, '');
+  if (phone) userData.ph = [sha256(phone)];
+  if (data.contactId) userData.external_id = [sha256(String(data.contactId))];
+
+  // fbc format: fb.<subdomain index>.<click time ms>.<fbclid>
+  const fbclid = data.fbclid || data.original_params?.fbclid;
+  const clickTime = toMillis(data.click_time) || toMillis(data.timestamp);
+  if (fbclid && clickTime) userData.fbc = `fb.1.${clickTime}.${fbclid}`;
+
+  return userData;
+}
+
+function buildLeadEvent(sessionId, data) {
+  return {
+    event_name: 'Lead',
+    event_time: Math.floor(toMillis(data.engagedAt) / 1000),
+    event_id: `${sessionId}-lead`,
+    action_source: 'chat',
+    user_data: buildUserData(data),
+    custom_data: {
+      utm_source: data.source,
+      utm_medium: data.medium,
+      utm_campaign: data.campaign,
+      utm_content: data.content
+    }
+  };
+}
+
+function buildConversionEvent(conversionId, conversion, sessionData) {
+  return {
+    event_name: conversion.event,
+    event_time: Math.floor(toMillis(conversion.occurredAt) / 1000),
+    event_id: `conversion-${conversionId}`,
+    action_source: 'system_generated',
+    user_data: buildUserData({ ...sessionData, ...conversion }),
+    custom_data: {
+      value: conversion.value,
+      currency: conversion.currency,
+      utm_campaign: conversion.campaign
+    }
+  };
+}
+
+async function postBatch(url, events, accessToken) {
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          data: events,
+          access_token: accessToken,
+          ...(process.env.META_TEST_EVENT_CODE && { test_event_code: process.env.META_TEST_EVENT_CODE })
+        })
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (response.ok) return { attempts: attempt, body };
+
+      const error = new Error(body.error?.message || `HTTP ${response.status}`);
+      // Client errors (bad payload, token) will not succeed on retry
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    } catch (err) {
+      const retryable = err.retryable !== false;
+      console.error(`❌ Meta CAPI attempt ${attempt} failed:`, err.message);
+      if (!retryable || attempt >= MAX_RETRIES) {
+        err.attempts = attempt;
+        throw err;
+      }
+      await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+    }
+  }
+}
+
+function createMetaCapiExporter(db, { getAccessToken }) {
+  const clicks = db.collection('utmClicks');
+  const conversions = db.collection('conversions');
+
+  // Engaged sessions and conversions from the lookback window not sent yet
+  async function collectPending(now) {
+    const since = new Date(now - LOOKBACK_MS);
+    const [sessionSnapshot, conversionSnapshot] = await Promise.all([
+      clicks.where('engagedAt', '>=', since).get(),
+      conversions.where('occurredAt', '>=', since).get()
+    ]);
+
+    const pending = [];
+    const sessions = new Map(sessionSnapshot.docs.map(doc => [doc.id, doc]));
+
+    sessionSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      if (!data.hasEngaged || data.source === 'direct_message') return;
+      if (data.metaCapi?.lead?.status === 'sent') return;
+      pending.push({ ref: doc.ref, field: 'metaCapi.lead', event: buildLeadEvent(doc.id, data) });
+    });
+
+    conversionSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.metaCapi?.status === 'sent') return;
+      const sessionData = sessions.get(data.sessionId)?.data() || {};
+      pending.push({ ref: doc.ref, field: 'metaCapi', event: buildConversionEvent(doc.id, data, sessionData) });
+    });
+
+    return pending;
+  }
+
+  async function exportEvents({ dryRun = false } = {}) {
+    const pending = await collectPending(Date.now());
+    if (dryRun) {
+      return { pending: pending.length, events: pending.map(item => item.event) };
+    }
+
+    const url = endpointUrl();
+    const accessToken = await getAccessToken();
+    const result = { pending: pending.length, sent: 0, failed: 0, errors: [] };
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      let status;
+      try {
+        const { attempts, body } = await postBatch(url, batch.map(item => item.event), accessToken);
+        status = { status: 'sent', attempts, sentAt: new Date(), fbtraceId: body.fbtrace_id || null };
+        result.sent += batch.length;
+      } catch (err) {
+        status = { status: 'failed', attempts: err.attempts, failedAt: new Date(), error: err.message };
+        result.failed += batch.length;
+        result.errors.push(err.message);
+      }
+
+      await Promise.all(batch.map(item => item.ref.update({
+        [item.field]: { ...status, eventId: item.event.event_id }
+      })));
+    }
+
+    console.log('📤 Meta CAPI export result:', { ...result, errors: result.errors.length });
+    return result;
+  }
+
+  return { exportEvents };
+}
+
+module.exports = { createMetaCapiExporter, buildLeadEvent, buildConversionEvent };
@@ -0,0 +1,43 @@
+// In-process counters, exposed in the Prometheus text format on /metrics.
+// Values are per instance and start from zero on every restart.
+
+const registry = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Returns the counter registered under `name`, creating it on first use
+function counter(name, help) {
+  if (!registry.has(name)) {
+    registry.set(name, { name, help, values: new Map() });
+  }
+  const metric = registry.get(name);
+
+  return {
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      const entry = metric.values.get(key) || { labels, value: 0 };
+      entry.value += by;
+      metric.values.set(key, entry);
+    }
+  };
+}
+
+function render() {
+  const lines = [];
+  for (const { name, help, values } of registry.values()) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const { labels, value } of values.values()) {
+      const pairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`);
+      lines.push(`${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { counter, render };
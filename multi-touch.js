@@ -0,0 +1,75 @@
+// Multi-touch credit models over a contact timeline (see touchpoints.js).
+// Only click touchpoints earn credit; a contact with no clicks credits `direct`.
+
+const MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+const HALF_LIFE_MS = (Number(process.env.ATTRIBUTION_HALF_LIFE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const DIRECT = { source: 'direct_message', medium: 'whatsapp', campaign: 'organic' };
+
+function campaignKey({ source, medium, campaign }) {
+  return [source, medium, campaign].join('|');
+}
+
+function modelWeights(model, touches, conversionAt) {
+  switch (model) {
+    case 'first_touch':
+      return touches.map((_, i) => (i === 0 ? 1 : 0));
+    case 'last_touch':
+      return touches.map((_, i) => (i === touches.length - 1 ? 1 : 0));
+    case 'linear':
+      return touches.map(() => 1 / touches.length);
+    case 'time_decay': {
+      const raw = touches.map(touch => Math.pow(2, -(conversionAt - touch.at) / HALF_LIFE_MS));
+      const total = raw.reduce((sum, weight) => sum + weight, 0);
+      return raw.map(weight => weight / total);
+    }
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+}
+
+// Credit per campaign for one contact. Touches after the conversion point
+// (the last message unless given) are ignored.
+function computeCredit(timeline, model, conversionAt) {
+  const messages = timeline.filter(touch => touch.type === 'message');
+  const until = conversionAt || (messages.length ? messages[messages.length - 1].at : new Date());
+  const touches = timeline.filter(touch => touch.type === 'click' && touch.at <= until);
+
+  if (!touches.length) {
+    return [{ ...DIRECT, credit: 1 }];
+  }
+
+  const weights = modelWeights(model, touches, until);
+  const credit = new Map();
+  touches.forEach((touch, i) => {
+    const key = campaignKey(touch);
+    const entry = credit.get(key) || {
+      source: touch.source,
+      medium: touch.medium,
+      campaign: touch.campaign,
+      credit: 0
+    };
+    entry.credit += weights[i];
+    credit.set(key, entry);
+  });
+
+  return [...credit.values()].filter(entry => entry.credit > 0);
+}
+
+// Sums per-contact credit into per-campaign totals
+function aggregateCredit(creditLists) {
+  const totals = new Map();
+  creditLists.flat().forEach(entry => {
+    const key = campaignKey(entry);
+    const total = totals.get(key) || { ...entry, credit: 0, contacts: 0 };
+    total.credit += entry.credit;
+    total.contacts += 1;
+    totals.set(key, total);
+  });
+
+  return [...totals.values()]
+    .map(total => ({ ...total, credit: Number(total.credit.toFixed(4)) }))
+    .sort((a, b) => b.credit - a.credit);
+}
+
+module.exports = { MODELS, computeCredit, aggregateCredit };
@@ -0,0 +1,230 @@
+const admin = require('firebase-admin');
+const { createAuditLog } = require('./audit-log');
+const { DEAD_LETTER_COLLECTION } = require('./sync-dead-letters');
+
+// Retention periods in days. An unset period keeps that data forever.
+const RETENTION = {
+  unengagedClickDays: Number(process.env.RETENTION_UNENGAGED_CLICK_DAYS) || null,
+  messageDays: Number(process.env.RETENTION_PII_DAYS) || null,
+  webhookEventDays: Number(process.env.RETENTION_WEBHOOK_EVENT_DAYS) || null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Below Firestore's 500 writes per batch
+const PAGE_SIZE = 400;
+// Firestore limit for `in` filters
+const IN_LIMIT = 30;
+
+// Session fields that identify the contact or hold what they wrote
+const CONTACT_FIELDS = ['phoneNumber', 'contactId', 'conversationId', 'contactName', 'lastMessage'];
+// Redacted after RETENTION_PII_DAYS; the phone number stays for attribution and conversions
+const MESSAGE_FIELDS = ['contactName', 'lastMessage'];
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+// `sinks` are the export sinks (sinks/index.js); those with `erase` are
+// cleared of an erased contact's data as part of the erasure. `getSubjectKey`
+// keys the phone number hash in audit entries (see audit-log.js).
+function createPrivacyService(db, { sinks = [], getSubjectKey = null } = {}) {
+  const { FieldValue } = admin.firestore;
+  const clicks = db.collection('utmClicks');
+  const contacts = db.collection('contacts');
+  const conversions = db.collection('conversions');
+  const webhookEvents = db.collection('webhookEvents');
+  const throttles = db.collection('notificationThrottle');
+  const deadLetters = db.collection(DEAD_LETTER_COLLECTION);
+  const auditLog = createAuditLog(db, { getSubjectKey });
+
+  // Changed sessions go through the export sync again, so sheet rows and the
+  // other sinks are rewritten without the removed fields
+  const resync = () => ({
+    syncedToSheets: false,
+    syncStatus: FieldValue.delete(),
+    syncAttempts: FieldValue.delete(),
+    lastSyncError: FieldValue.delete()
+  });
+
+  const deleteFields = (fields) => Object.fromEntries(fields.map(field => [field, FieldValue.delete()]));
+
+  // Calls `handle` with each page of an ordered query
+  async function forEachPage(query, handle) {
+    let last = null;
+    while (true) {
+      const snapshot = await (last ? query.startAfter(last) : query).limit(PAGE_SIZE).get();
+      if (!snapshot.empty) await handle(snapshot.docs);
+      if (snapshot.size < PAGE_SIZE) return;
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  async function writeAll(docs, write) {
+    for (const page of chunk(docs, PAGE_SIZE)) {
+      const batch = db.batch();
+      page.forEach(doc => write(batch, doc));
+      await batch.commit();
+    }
+  }
+
+  // Counts (and with `apply`, writes) the documents of `query` that `select` keeps
+  async function sweep(query, { apply, select = () => true, write }) {
+    let count = 0;
+    await forEachPage(query, async (docs) => {
+      const matching = docs.filter(select);
+      count += matching.length;
+      if (apply) await writeAll(matching, write);
+    });
+    return count;
+  }
+
+  // Applies the retention periods. Without `apply` nothing is written and the
+  // result counts what would be purged or redacted.
+  async function runRetention({ apply = false, now = new Date(), actor = null } = {}) {
+    const cutoff = (days) => new Date(now.getTime() - days * DAY_MS);
+    const result = { apply, unengagedClicksPurged: 0, messagesRedacted: 0, contactsRedacted: 0, webhookEventsPurged: 0 };
+
+    if (RETENTION.unengagedClickDays) {
+      // Same index as the matcher's recent-click query
+      const query = clicks
+        .where('hasEngaged', '==', false)
+        .where('timestamp', '<', cutoff(RETENTION.unengagedClickDays))
+        .orderBy('timestamp', 'desc');
+      result.unengagedClicksPurged = await sweep(query, {
+        apply,
+        write: (batch, doc) => batch.delete(doc.ref)
+      });
+    }
+
+    if (RETENTION.messageDays) {
+      const hasMessageFields = (doc) => MESSAGE_FIELDS.some(field => doc.get(field) != null);
+
+      const sessionQuery = clicks
+        .where('engagedAt', '<', cutoff(RETENTION.messageDays))
+        .orderBy('engagedAt')
+        .select('engagedAt', ...MESSAGE_FIELDS);
+      result.messagesRedacted = await sweep(sessionQuery, {
+        apply,
+        select: hasMessageFields,
+        write: (batch, doc) => batch.update(doc.ref, { ...deleteFields(MESSAGE_FIELDS), piiRedactedAt: now, ...resync() })
+      });
+
+      const contactQuery = contacts
+        .where('lastSeenAt', '<', cutoff(RETENTION.messageDays))
+        .orderBy('lastSeenAt')
+        .select('lastSeenAt', 'contactName');
+      result.contactsRedacted = await sweep(contactQuery, {
+        apply,
+        select: (doc) => doc.get('contactName') != null,
+        write: (batch, doc) => batch.update(doc.ref, { contactName: FieldValue.delete() })
+      });
+    }
+
+    if (RETENTION.webhookEventDays) {
+      // The raw payloads hold the phone number, name and message text
+      const query = webhookEvents
+        .where('receivedAt', '<', cutoff(RETENTION.webhookEventDays))
+        .orderBy('receivedAt');
+      result.webhookEventsPurged = await sweep(query, {
+        apply,
+        write: (batch, doc) => batch.delete(doc.ref)
+      });
+    }
+
+    if (apply) {
+      await auditLog.record('retention.run', { actor, details: { ...result, retention: RETENTION } });
+    }
+    return result;
+  }
+
+  async function queryIn(collection, field, values) {
+    const snapshots = await Promise.all(chunk(values, IN_LIMIT).map(ids => collection.where(field, 'in', ids).get()));
+    return snapshots.flatMap(snapshot => snapshot.docs);
+  }
+
+  // Data-subject erasure for one normalized phone number. Attributed sessions
+  // and conversions are anonymized so campaign totals stay correct; everything
+  // else about the contact is deleted. Sink copies are erased first, so a sink
+  // failure leaves everything in place for another attempt. Throws a 404 when
+  // nothing matches.
+  async function eraseContact(phone, { actor = null } = {}) {
+    const now = new Date();
+    const sessions = (await clicks.where('phoneNumber', '==', phone).get()).docs;
+    const sessionIds = sessions.map(doc => doc.id);
+    const conversationIds = [...new Set(sessions.map(doc => doc.get('conversationId')).filter(Boolean))];
+
+    // Direct-message records hold nothing but the conversation
+    const direct = sessions.filter(doc => doc.get('source') === 'direct_message');
+    const attributed = sessions.filter(doc => doc.get('source') !== 'direct_message');
+
+    // Dead letters keep a copy of the session
+    const deadLetterDocs = (await Promise.all(sessionIds.map(id => deadLetters.doc(id).get()))).filter(doc => doc.exists);
+    const conversionDocs = (await conversions.where('phoneNumber', '==', phone).get()).docs;
+
+    const contactRef = contacts.doc(phone);
+    const contactDoc = await contactRef.get();
+    const touchpoints = (await contactRef.collection('touchpoints').get()).docs;
+
+    // Archived payloads carry the number as sent, which may lack the country code,
+    // so events are also found through the contact's conversations
+    const eventDocs = new Map();
+    [
+      ...(await webhookEvents.where('senderPhone', '==', phone).get()).docs,
+      ...await queryIn(webhookEvents, 'conversationId', conversationIds)
+    ].forEach(doc => eventDocs.set(doc.id, doc));
+
+    // Throttles of leads without a conversation are keyed by the phone number
+    const throttleDocs = new Map();
+    [
+      ...(await throttles.where('phone', '==', phone).get()).docs,
+      ...await queryIn(throttles, 'conversationId', conversationIds)
+    ].forEach(doc => throttleDocs.set(doc.id, doc));
+
+    // Direct-message records never go through the export sync, and older sheet
+    // rows may have no session, so sinks also match on the phone number
+    const sinkRowsErased = {};
+    for (const sink of sinks.filter(s => s.erase)) {
+      try {
+        sinkRowsErased[sink.name] = await sink.erase({ phone, sessionIds, fields: CONTACT_FIELDS });
+      } catch (err) {
+        throw Object.assign(new Error(`Erasure from the ${sink.name} sink failed: ${err.message}`), { status: 502 });
+      }
+    }
+
+    const found = sessions.length || conversionDocs.length || contactDoc.exists || touchpoints.length || eventDocs.size ||
+      throttleDocs.size || Object.values(sinkRowsErased).some(Boolean);
+    if (!found) {
+      throw Object.assign(new Error('No records found for this phone number'), { status: 404 });
+    }
+
+    await writeAll(direct, (batch, doc) => batch.delete(doc.ref));
+    await writeAll(attributed, (batch, doc) => batch.update(doc.ref, {
+      ...deleteFields(CONTACT_FIELDS),
+      erasedAt: now,
+      ...resync()
+    }));
+    await writeAll(deadLetterDocs, (batch, doc) => batch.delete(doc.ref));
+    await writeAll(conversionDocs, (batch, doc) => batch.update(doc.ref, { phoneNumber: null, contactId: null, erasedAt: now }));
+    await writeAll([...touchpoints, contactDoc], (batch, doc) => batch.delete(doc.ref));
+    await writeAll([...eventDocs.values()], (batch, doc) => batch.delete(doc.ref));
+    await writeAll([...throttleDocs.values()], (batch, doc) => batch.delete(doc.ref));
+
+    const result = {
+      sessionsAnonymized: attributed.length,
+      directRecordsDeleted: direct.length,
+      deadLettersDeleted: deadLetterDocs.length,
+      conversionsAnonymized: conversionDocs.length,
+      touchpointsDeleted: touchpoints.length,
+      webhookEventsDeleted: eventDocs.size,
+      sinkRowsErased
+    };
+    const auditId = await auditLog.record('contact.erase', { actor, subject: phone, details: result });
+    return { ...result, auditId };
+  }
+
+  return { runRetention, eraseContact };
+}
+
+module.exports = { createPrivacyService };
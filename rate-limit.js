@@ -0,0 +1,46 @@
+const metrics = require('./metrics');
+
+// Fixed-window request limits kept in memory. Each instance counts on its own,
+// so the effective limit is roughly `max` times the number of instances.
+
+const rejections = metrics.counter('rate_limit_rejections_total', 'Requests rejected by a rate limit');
+
+// name - label used in logs and metrics
+// max  - requests per key and window; 0 disables the limiter
+// key  - (req) => string, or null to let the request through uncounted
+function createRateLimiter({ name, windowMs, max, key }) {
+  const windows = new Map();
+
+  // Drop finished windows so keys seen once do not pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [windowKey, window] of windows) {
+      if (window.resetAt <= now) windows.delete(windowKey);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const windowKey = max > 0 ? key(req) : null;
+    if (!windowKey) return next();
+
+    const now = Date.now();
+    let window = windows.get(windowKey);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(windowKey, window);
+    }
+
+    window.count++;
+    if (window.count <= max) return next();
+
+    rejections.inc({ limiter: name });
+    if (window.count === max + 1) {
+      console.warn(`Rate limit ${name} reached for ${windowKey}`);
+    }
+    res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+    res.status(429).json({ error: 'Too many requests' });
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// No 0/O, 1/I/L so codes survive being retyped from a screenshot
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+function generateRefCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return code;
+}
+
+// Tolerates the spacing and case changes people make when retyping the code
+const REF_CODE_PATTERN = new RegExp(`\\s*\\(?\\bRef\\s*#\\s*([${ALPHABET}]{${CODE_LENGTH}})\\b\\)?`, 'i');
+
+function formatRefCode(code) {
+  return `Ref #${code}`;
+}
+
+function extractRefCode(text) {
+  const match = REF_CODE_PATTERN.exec(text || '');
+  return match ? match[1].toUpperCase() : null;
+}
+
+function stripRefCode(text) {
+  return (text || '').replace(REF_CODE_PATTERN, '').trim();
+}
+
+// Codes are reserved in `refCodes/{code}` with create(), which fails when the
+// document exists, so two clicks at the same moment cannot get the same code
+const ALREADY_EXISTS = 6;
+const MAX_ATTEMPTS = 5;
+
+function createRefCodeStore(db) {
+  const refCodes = db.collection('refCodes');
+  const clicks = db.collection('utmClicks');
+
+  async function reserve(sessionId) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const code = generateRefCode();
+      try {
+        await refCodes.doc(code).create({ sessionId, createdAt: new Date() });
+      } catch (err) {
+        if (err.code === ALREADY_EXISTS) continue;
+        throw err;
+      }
+      // Codes handed out before reservations existed are only on the clicks;
+      // such a code stays reserved so it is not drawn again
+      const legacy = await clicks.where('ref_code', '==', code).limit(1).get();
+      if (legacy.empty) return code;
+    }
+    throw new Error('Could not allocate a unique reference code');
+  }
+
+  return { reserve };
+}
+
+module.exports = { generateRefCode, formatRefCode, extractRefCode, stripRefCode, createRefCodeStore };
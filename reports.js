@@ -0,0 +1,78 @@
+// Server-side campaign performance aggregation over utmClicks records
+
+const GROUP_FIELDS = ['source', 'medium', 'campaign', 'content', 'placement', 'device_type', 'os', 'browser', 'country'];
+const DEFAULT_GROUP_BY = ['source', 'medium', 'campaign'];
+
+function parseGroupBy(value) {
+  if (!value) return DEFAULT_GROUP_BY;
+  const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !GROUP_FIELDS.includes(field));
+  if (!fields.length || unknown.length) {
+    throw Object.assign(
+      new Error(`groupBy must be a comma-separated list of ${GROUP_FIELDS.join(', ')}`),
+      { status: 400 }
+    );
+  }
+  return fields;
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// records: plain click documents; returns one row per group, most clicks first
+function buildCampaignReport(records, groupBy) {
+  const groups = new Map();
+
+  // Clicks flagged as bots are left out entirely
+  records.filter(data => !data.is_bot).forEach(data => {
+    const key = groupBy.map(field => data[field] || 'unknown').join('|');
+    if (!groups.has(key)) {
+      const group = {};
+      groupBy.forEach(field => { group[field] = data[field] || 'unknown'; });
+      Object.assign(group, { clicks: 0, engagedLeads: 0, attribution: {}, latencies: [], conversions: 0, revenue: {} });
+      groups.set(key, group);
+    }
+    const group = groups.get(key);
+
+    // Direct-message records have no click behind them
+    const clickedAt = toMillis(data.click_time);
+    if (clickedAt) group.clicks++;
+
+    if (data.hasEngaged) {
+      group.engagedLeads++;
+      const method = data.attribution_source || 'unknown';
+      group.attribution[method] = (group.attribution[method] || 0) + 1;
+
+      const engagedAt = toMillis(data.engagedAt);
+      if (clickedAt && engagedAt && engagedAt >= clickedAt) {
+        group.latencies.push((engagedAt - clickedAt) / 1000);
+      }
+    }
+
+    group.conversions += data.conversionCount || 0;
+    Object.entries(data.conversionValues || {}).forEach(([currency, amount]) => {
+      group.revenue[currency] = (group.revenue[currency] || 0) + amount;
+    });
+  });
+
+  return [...groups.values()]
+    .map(({ latencies, ...group }) => ({
+      ...group,
+      engagementRate: group.clicks ? Number((group.engagedLeads / group.clicks).toFixed(4)) : null,
+      medianClickToMessageSeconds: median(latencies)
+    }))
+    .sort((a, b) => b.clicks - a.clicks || b.engagedLeads - a.engagedLeads);
+}
+
+module.exports = { parseGroupBy, buildCampaignReport, GROUP_FIELDS };
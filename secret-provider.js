@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const metrics = require('./metrics');
+const { config } = require('./config');
+
+// Secrets by name (e.g. gallabox-token), looked up in order from:
+//   1. the environment: SECRET_<NAME>, upper-cased with - and . as _
+//   2. a file named <name> in SECRETS_DIR (Docker or Kubernetes secret mounts)
+//   3. Google Secret Manager, latest version, in GCP_PROJECT_ID (unless
+//      USE_SECRET_MANAGER=false)
+// Values are cached for SECRET_CACHE_TTL_SECONDS and refreshed in the
+// background. When a refresh fails the last good value is kept.
+
+const DEFAULT_TTL_MS = Number(process.env.SECRET_CACHE_TTL_SECONDS || 300) * 1000;
+// After a failed refresh the cached value is served without retrying for this long
+const RETRY_MS = 30 * 1000;
+
+const refreshFailures = metrics.counter('secret_refresh_failures_total', 'Secret lookups that failed and fell back to the cached value');
+
+function envName(name) {
+  return `SECRET_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+// secretClient stands in for the Secret Manager client (accessSecretVersion)
+function createSecretProvider({
+  ttlMs = DEFAULT_TTL_MS,
+  secretsDir = process.env.SECRETS_DIR,
+  projectId = config.useSecretManager ? config.projectId : null,
+  secretClient: injectedClient = null
+} = {}) {
+  // name -> { value, source, fetchedAt, failedAt, pending }
+  const cache = new Map();
+  let secretClient = injectedClient;
+
+  async function fromSecretManager(name) {
+    if (!projectId) return null;
+    if (!secretClient) {
+      // Loaded on first use so the service runs without GCP credentials
+      const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+      secretClient = new SecretManagerServiceClient();
+    }
+    const [version] = await secretClient.accessSecretVersion({
+      name: `projects/${projectId}/secrets/${name}/versions/latest`
+    });
+    return version.payload.data.toString('utf8');
+  }
+
+  async function fromFile(name) {
+    if (!secretsDir) return null;
+    try {
+      return (await fs.readFile(path.join(secretsDir, name), 'utf8')).trim();
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function load(name) {
+    if (process.env[envName(name)] !== undefined) {
+      return { value: process.env[envName(name)], source: 'env' };
+    }
+    const fileValue = await fromFile(name);
+    if (fileValue !== null) return { value: fileValue, source: 'file' };
+
+    const managedValue = await fromSecretManager(name);
+    if (managedValue !== null) return { value: managedValue, source: 'secret-manager' };
+
+    throw new Error(`Secret ${name} not found (set ${envName(name)}, SECRETS_DIR or GCP_PROJECT_ID)`);
+  }
+
+  // Concurrent lookups of one secret share a single fetch
+  function refresh(name) {
+    const entry = cache.get(name) || {};
+    if (entry.pending) return entry.pending;
+
+    entry.pending = load(name)
+      .then(({ value, source }) => {
+        cache.set(name, { value, source, fetchedAt: Date.now(), failedAt: null, pending: null });
+        return value;
+      })
+      .catch(err => {
+        entry.pending = null;
+        if (entry.value === undefined) {
+          cache.delete(name);
+          throw err;
+        }
+        entry.failedAt = Date.now();
+        refreshFailures.inc({ secret: name });
+        console.error(`Secret ${name} refresh failed, using the cached value:`, err.message);
+        return entry.value;
+      });
+    cache.set(name, entry);
+    return entry.pending;
+  }
+
+  async function get(name) {
+    const entry = cache.get(name);
+    if (entry && entry.value !== undefined) {
+      const now = Date.now();
+      if (now - entry.fetchedAt < ttlMs || now - entry.failedAt < RETRY_MS) return entry.value;
+    }
+    return refresh(name);
+  }
+
+  // The next lookup fetches again; the old value stays as the fallback.
+  // Without a name every cached secret is invalidated.
+  function invalidate(name) {
+    const names = name ? [name] : [...cache.keys()];
+    names.forEach(secretName => {
+      const entry = cache.get(secretName);
+      if (entry) Object.assign(entry, { fetchedAt: 0, failedAt: null });
+    });
+    return names.filter(secretName => cache.has(secretName));
+  }
+
+  // Secrets already in use are refreshed before they expire, so requests
+  // rarely wait on a lookup
+  const timer = setInterval(() => {
+    for (const [name, entry] of cache) {
+      if (entry.value !== undefined && Date.now() - entry.fetchedAt >= ttlMs / 2) {
+        refresh(name).catch(() => {});
+      }
+    }
+  }, Math.max(ttlMs / 4, 1000));
+  timer.unref();
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { get, invalidate, stop };
+}
+
+module.exports = { createSecretProvider };
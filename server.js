@@ -2,10 +2,35 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const admin = require('firebase-admin');
-const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const crypto = require('crypto');
-const fs = require('fs/promises');
-const secretClient = new SecretManagerServiceClient();
+const { initFirestore } = require('./firestore-client');
+const { createChannelRegistry } = require('./channel-registry');
+const { createSinks } = require('./sinks');
+const { formatRefCode, createRefCodeStore } = require('./ref-code');
+const { createTouchpointStore } = require('./touchpoints');
+const { createWebhookProcessor } = require('./webhook-processor');
+const { createWebhookArchive } = require('./webhook-archive');
+const { MODELS, computeCredit, aggregateCredit } = require('./multi-touch');
+const { createConversionStore, parseConversion } = require('./conversions');
+const { createMetaCapiExporter } = require('./meta-capi');
+const { parseGroupBy, buildCampaignReport, GROUP_FIELDS } = require('./reports');
+const { parseExportQuery, streamSessions } = require('./session-export');
+const { createDeadLetterStore } = require('./sync-dead-letters');
+const { createPrivacyService } = require('./privacy');
+const { createApiKeyStore } = require('./api-keys');
+const { createAuditLog, SUBJECT_KEY_SECRET } = require('./audit-log');
+const { createSecretProvider } = require('./secret-provider');
+const { createSignatureVerifier, captureRawBody } = require('./webhook-signature');
+const { createNotifier } = require('./notifications');
+const {
+  validateBody, validateQuery, ORIGINAL_PARAM_KEYS, STORE_CLICK_SCHEMA, GO_QUERY_SCHEMA, GALLABOX_WEBHOOK_SCHEMA
+} = require('./validation');
+const metrics = require('./metrics');
+const { createRateLimiter } = require('./rate-limit');
+const { classifyClick } = require('./bot-detection');
+const { enrichClick } = require('./click-enrichment');
+const { normalizeUtm } = require('./utm-normalizer');
+const secrets = createSecretProvider();
 require('dotenv').config();
 
 const app = express();
@@ -31,10 +56,60 @@ server.on('error', (err) => {
   process.exit(1);
 });
 
+// App Engine flex forwards through its load balancer and nginx, so the client
+// address is the third from the end of X-Forwarded-For. TRUST_PROXY takes a hop
+// count, true/false or a list of trusted addresses.
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return 2;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser,
+// e.g. https://example.com,https://*.example.com. Unset allows every origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const CORS_ORIGIN_PATTERNS = CORS_ORIGINS.map(origin => new RegExp(
+  `^${origin.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^./]+')}$`, 'i'
+));
+
+function isAllowedOrigin(origin) {
+  return !CORS_ORIGINS.length || CORS_ORIGIN_PATTERNS.some(pattern => pattern.test(origin));
+}
+
+// Browsers enforce CORS themselves; this also refuses scripted requests that
+// claim to come from another site
+function rejectForeignOrigin(req, res, next) {
+  const origin = req.get('origin');
+  if (origin && !isAllowedOrigin(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  next();
+}
+
 // Essential middleware
-app.use(cors());
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  // Export pages carry the cursor for the next page
+  exposedHeaders: ['X-Next-Cursor']
+}));
 app.use(helmet());
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb', verify: captureRawBody }));
+
+// Body parser failures as JSON instead of Express's HTML error page
+const bodyRejections = metrics.counter('request_body_rejections_total', 'Request bodies rejected before validation');
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    bodyRejections.inc({ reason: 'too_large' });
+    return res.status(413).json({ error: `Request body exceeds ${err.limit} bytes` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    bodyRejections.inc({ reason: 'invalid_json' });
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  next(err);
+});
 
 // Health endpoint
 app.get('/health', (req, res) => {
@@ -49,256 +124,69 @@ setImmediate(async () => {
   try {
     console.log('Starting async initialization...');
 
-    // Load credentials
-    const credsPath = '/secrets/secrets';
-    const serviceAccount = JSON.parse(await fs.readFile(credsPath));
-    
-    // Initialize Firebase
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: `https://${process.env.GCP_PROJECT_ID}.firebaseio.com`,
-    });
-
-    const db = admin.firestore();
-    db.settings({ 
-      databaseId: 'utm-tracker-db',
-      timeout: 10000,
-    });
+    const db = await initFirestore();
+    const clicksCollection = db.collection('utmClicks');
+    console.log('Firestore connected successfully');
 
-    // Verify Firestore connection
-    let firestoreConnected = false;
-    const maxRetries = 3;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        await db.listCollections();
-        firestoreConnected = true;
-        break;
-      } catch (err) {
-        console.error(`Firestore connection attempt ${attempt} failed:`, err);
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    const channelRegistry = createChannelRegistry(db);
+    const touchpointStore = createTouchpointStore(db);
+    const conversionStore = createConversionStore(db);
+    const notifier = createNotifier(db);
+    const webhookProcessor = createWebhookProcessor({ db, channelRegistry, touchpointStore, notifier });
+    const webhookArchive = createWebhookArchive(db);
+    const apiKeyStore = createApiKeyStore(db);
+    const { requireScope } = apiKeyStore;
+
+    // A contact's number from a request, normalized like a sender's. A local
+    // number needs `countryCode` when the channels use more than one.
+    async function parseContactPhone(phone, countryCode) {
+      const normalized = await channelRegistry.normalizeContactPhone(phone, typeof countryCode === 'string' ? countryCode : undefined);
+      if (normalized === null) {
+        throw Object.assign(new Error('countryCode is required for a number without one'), { status: 400 });
       }
+      if (!normalized) throw Object.assign(new Error('Invalid phone number'), { status: 400 });
+      return normalized;
     }
 
-    if (!firestoreConnected) {
-      throw new Error('Failed to connect to Firestore');
-    }
-
-    const clicksCollection = db.collection('utmClicks');
-    console.log('Firestore connected successfully');
+    // Counters in the Prometheus text format
+    app.get('/metrics', requireScope('metrics:read'), (req, res) => {
+      res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
 
-    // Secret management
-    const secretCache = new Map();
-    async function getSecret(secretName) {
-      if (secretCache.has(secretName)) return secretCache.get(secretName);
-      const name = `projects/${process.env.GCP_PROJECT_ID}/secrets/${secretName}/versions/latest`;
-      const [version] = await secretClient.accessSecretVersion({ name });
-      const secretValue = version.payload.data.toString('utf8');
-      secretCache.set(secretName, secretValue);
-      return secretValue;
-    }
+    // Secret management: env vars, SECRETS_DIR or Secret Manager, refreshed
+    // every SECRET_CACHE_TTL_SECONDS (see secret-provider.js)
+    const getSecret = (secretName) => secrets.get(secretName);
 
-    // Security middleware
-    const verifyGallabox = async (req, res, next) => {
-      try {
-        const token = req.headers['x-gallabox-token'];
-        const gallaboxToken = await getSecret('gallabox-token');
-        if (token !== gallaboxToken) {
-          return res.status(401).send('Invalid token');
-        }
-        next();
-      } catch (error) {
-        console.error('Token verification error:', error);
-        res.status(500).send('Authentication failed');
-      }
-    };
+    // Security middleware. The secret holds the active signing secrets, one per
+    // line or comma separated, newest first.
+    const verifyGallabox = createSignatureVerifier({
+      db,
+      getSecrets: async () => (await getSecret('gallabox-webhook-secrets')).split(/[\s,]+/).filter(Boolean),
+      getLegacyToken: () => getSecret('gallabox-token')
+    });
 
     // Enhanced Gallabox Webhook Handler
-    app.post('/gallabox-webhook', verifyGallabox, async (req, res) => {
+    app.post('/gallabox-webhook', verifyGallabox, validateBody('gallabox-webhook', GALLABOX_WEBHOOK_SCHEMA), async (req, res) => {
       try {
         const event = req.body;
         console.log('Incoming webhook payload:', JSON.stringify(event, null, 2));
 
-        // Check if this is for the American Hairline number
-        const receivingNumber = (event.channelNumber || '').replace(/\D/g, '');
-        const americanHairlineNumber = '919137279145';
-        console.log('DEBUG: channelNumber received:', receivingNumber);
-        if (receivingNumber !== americanHairlineNumber) {
-          console.log(`Skipping: Message was for ${receivingNumber}, not American Hairline`);
-          return res.status(200).json({ status: 'skipped', reason: 'wrong_number' });
-        }
-        // Extract critical identifiers
-        const senderPhone = event.whatsapp?.from?.replace(/^0+/, '') || '';
-        const contactId = event.contactId || event.contact?.id || null;
-        const conversationId = event.conversationId || null;
-        const contactName = event.contact?.name || null;
-        const messageContent = event.whatsapp?.text?.body || (event.whatsapp?.interactive?.list_reply?.title || 'No text content');
-        
-        // Phone number normalization
-        let normalizedPhone = senderPhone;
-        const countryCode = '91';
-        if (normalizedPhone && !normalizedPhone.startsWith(countryCode)) {
-          normalizedPhone = `${countryCode}${normalizedPhone}`;
-        }
-
-        if (!normalizedPhone) {
-          return res.status(400).json({ error: 'Missing phone number' });
-        }
-
-        let sessionId;
-        let utmData = {
-          source: 'direct_message',
-          medium: 'whatsapp',
-          campaign: 'organic',
-          content: 'none'
-        };
-        let attribution = 'direct';
-        
-        // Matching Priority 1: Context Parameter
-        if (event.context) {
-          try {
-            const context = JSON.parse(Buffer.from(event.context, 'base64').toString());
-            if (context?.session_id) {
-              sessionId = context.session_id;
-              utmData = context;
-              attribution = 'context';
-              console.log(`Context match: ${sessionId}`);
-            }
-          } catch (err) {
-            console.warn('Invalid context format:', err);
-          }
-        }
-
-        // Matching Priority 2: Gallabox Identifiers
-        if (!sessionId && (contactId || conversationId)) {
-          console.log(`Attempting Gallabox ID match - Contact: ${contactId}, Conversation: ${conversationId}`);
-          
-          const fiveMinutesAgo = admin.firestore.Timestamp.fromDate(
-            new Date(Date.now() - 5 * 60 * 1000)
-          );
-
-          const query = clicksCollection
-            .where('hasEngaged', '==', false)
-            .where('timestamp', '>=', fiveMinutesAgo)
-            .orderBy('timestamp', 'desc')
-            .limit(5);
-
-          const snapshot = await query.get();
-
-          if (!snapshot.empty) {
-            sessionId = snapshot.docs[0].id;
-            utmData = snapshot.docs[0].data();
-            attribution = 'gallabox_id_match';
-            console.log(`Matched with recent click: ${sessionId}`);
-
-            // Update click record with Gallabox IDs
-            await clicksCollection.doc(sessionId).update({
-              contactId,
-              conversationId,
-              contactName: contactName || null
-            });
-          }
-        }
+        // Archive first so the event can be replayed even if processing fails
+        const archiveRef = await webhookArchive.record(event);
+        const result = await webhookProcessor.processEvent(event);
 
-        // Matching Priority 3: Phone Number (if available in click records)
-        if (!sessionId) {
-          const phoneMatch = await clicksCollection
-            .where('phoneNumber', '==', normalizedPhone)
-            .where('hasEngaged', '==', false)
-            .orderBy('timestamp', 'desc')
-            .limit(1)
-            .get();
-
-          if (!phoneMatch.empty) {
-            sessionId = phoneMatch.docs[0].id;
-            utmData = phoneMatch.docs[0].data();
-            attribution = 'phone_match';
-            console.log(`Phone number match: ${sessionId}`);
-          }
+        try {
+          await webhookArchive.saveResult(archiveRef, result);
+        } catch (err) {
+          console.error('Webhook archive update error:', err);
         }
 
-        // Start of Modified Direct Message Handling
-        if (!sessionId) {
-          if (conversationId) {
-            const existingDirectQuery = await clicksCollection
-              .where('conversationId', '==', conversationId)
-              .where('source', '==', 'direct_message')
-              .limit(1)
-              .get();
-
-            if (!existingDirectQuery.empty) {
-              sessionId = existingDirectQuery.docs[0].id;
-              attribution = 'existing_direct';
-              console.log(`Found existing direct conversation: ${conversationId}`);
-
-              await clicksCollection.doc(sessionId).update({
-                lastMessage: messageContent,
-                engagedAt: admin.firestore.FieldValue.serverTimestamp()
-              });
-            } else if (process.env.STORE_DIRECT_MESSAGES === 'true') {
-              sessionId = `direct-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
-              attribution = 'new_direct';
-              console.log(`Creating new direct record: ${sessionId}`);
-              
-              await clicksCollection.doc(sessionId).set({
-                ...utmData,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                hasEngaged: true,
-                phoneNumber: normalizedPhone,
-                lastMessage: messageContent,
-                engagedAt: admin.firestore.FieldValue.serverTimestamp(),
-                syncedToSheets: false,
-                contactId,
-                conversationId,
-                contactName
-              });
-            } else {
-              console.log(`Skipping direct message from ${normalizedPhone}`);
-              attribution = 'ignored_direct';
-              sessionId = 'not_stored';
-            }
-          }
-        }
-        // End of Modified Direct Message Handling
-
-        // Update existing records
-        if (attribution !== 'new_direct' && sessionId !== 'not_stored') {
-          const updateData = {
-            hasEngaged: true,
-            phoneNumber: normalizedPhone,
-            engagedAt: admin.firestore.FieldValue.serverTimestamp(),
-            syncedToSheets: false,
-            attribution_source: attribution,
-            contactId,
-            conversationId,
-            ...(contactName && { contactName }),
-            ...(messageContent && { lastMessage: messageContent })
-          };
-
-          await db.runTransaction(async (transaction) => {
-            const docRef = clicksCollection.doc(sessionId);
-            const doc = await transaction.get(docRef);
-            
-            if (doc.exists) {
-              transaction.update(docRef, updateData);
-            } else {
-              transaction.set(docRef, {
-                ...utmData,
-                ...updateData,
-                timestamp: admin.firestore.FieldValue.serverTimestamp()
-              });
-            }
-          });
-        }
-
-        console.log(`Processed message from ${normalizedPhone} with attribution: ${attribution}`);
-        res.status(200).json({ 
-          status: 'processed',
-          sessionId,
-          source: utmData.source,
-          attribution
-        });
+        res.status(200).json(result);
 
       } catch (err) {
+        if (err.status) {
+          return res.status(err.status).json({ error: err.message });
+        }
         console.error('Webhook processing error:', err);
         res.status(500).json({ 
           error: 'Processing failed',
@@ -307,46 +195,77 @@ setImmediate(async () => {
       }
     });
 
-    app.post('/store-click', async (req, res) => {
+    // Shared by /store-click and /go so both entry points create identical click records.
+    // `fields` holds the normalized UTM values and the other derived fields;
+    // `params` is kept as received.
+    async function storeClick(sessionId, params, fields) {
+      await db.runTransaction(async (transaction) => {
+        const docRef = clicksCollection.doc(sessionId);
+        const doc = await transaction.get(docRef);
+        
+        if (!doc.exists) {
+          transaction.set(docRef, {
+            ...fields,
+            original_params: params,
+            click_time: admin.firestore.FieldValue.serverTimestamp(),
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            hasEngaged: false,
+            syncedToSheets: false
+          });
+        }
+      });
+    }
+
+    // Click ingestion limits per client address and per session ID
+    const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000;
+    const limitClicksPerIp = createRateLimiter({
+      name: 'clicks_per_ip',
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      max: Number(process.env.RATE_LIMIT_CLICKS_PER_IP ?? 60),
+      key: req => req.ip
+    });
+    const limitClicksPerSession = createRateLimiter({
+      name: 'clicks_per_session',
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      max: Number(process.env.RATE_LIMIT_CLICKS_PER_SESSION ?? 5),
+      key: req => req.body.session_id
+    });
+
+    const botClicks = metrics.counter('bot_clicks_total', 'Clicks classified as bots');
+
+    // Bot clicks are kept, flagged, so they can be audited
+    function classify(req, route) {
+      const classification = classifyClick(req);
+      if (classification.is_bot) {
+        botClicks.inc({ route });
+        console.log(`Bot click on ${route}: ${classification.bot_reason}`);
+      }
+      return classification;
+    }
+
+    // Reference codes are looked up when the first message arrives, so each is used once
+    const refCodeStore = createRefCodeStore(db);
+
+    app.post('/store-click', rejectForeignOrigin, limitClicksPerIp, validateBody('store-click', STORE_CLICK_SCHEMA), limitClicksPerSession, async (req, res) => {
       try {
         const { session_id, original_params, ...rawData } = req.body;
         
-        // Extract values with consistent naming
         const params = original_params || {};
-        
-        // Create standardized structure
-        const utmData = {
-          source: params.source || rawData.source || 'facebook',
-          medium: params.medium || rawData.medium || 'fb_ads',
-          campaign: params.campaign || rawData.campaign || 'unknown',
-          content: params.content || rawData.content || 'unknown',
-          placement: params.placement || rawData.placement || 'unknown',
-          
-          original_params: {
-            ...params,
-            campaign: params.campaign || rawData.campaign || 'unknown',
-            medium: params.medium || rawData.medium || 'fb_ads',
-            source: params.source || rawData.source || 'facebook',
-            content: params.content || rawData.content || 'unknown',
-            placement: params.placement || rawData.placement || 'unknown'
-          },
-          
-          click_time: admin.firestore.FieldValue.serverTimestamp()
-        };
-
-        await db.runTransaction(async (transaction) => {
-          const docRef = clicksCollection.doc(session_id);
-          const doc = await transaction.get(docRef);
-          
-          if (!doc.exists) {
-            transaction.set(docRef, {
-              ...utmData,
-              timestamp: admin.firestore.FieldValue.serverTimestamp(),
-              hasEngaged: false,
-              syncedToSheets: false
-            });
-          }
+
+        const brand = await channelRegistry.resolveBrand(rawData.brand);
+        if (rawData.brand && !brand) {
+          return res.status(400).json({ error: `Unknown brand: ${rawData.brand}` });
+        }
+
+        // The landing page sends its own URL; the Referer header is a fallback
+        const enrichment = await enrichClick(req, {
+          params: { ...rawData, ...params },
+          referrer: rawData.referrer,
+          landingPage: rawData.landing_page || req.get('referer')
         });
+        // Top-level UTM fields are accepted too; original_params wins
+        const utm = normalizeUtm({ ...rawData, ...params }, enrichment);
+        await storeClick(session_id, params, { ...utm, brand, ...enrichment, ...classify(req, 'store-click') });
         
         res.status(201).json({ 
           message: 'Click stored',
@@ -358,21 +277,394 @@ setImmediate(async () => {
       }
     });
 
+    // Tracked click-to-WhatsApp link for ads, emails and SMS:
+    // /go/<campaign>?utm_source=...&utm_medium=...&fbclid=...&brand=...
+    app.get('/go/:campaignSlug', limitClicksPerIp, validateQuery('go', GO_QUERY_SCHEMA), async (req, res) => {
+      const { campaignSlug } = req.params;
+      if (!/^[\w-]{1,100}$/.test(campaignSlug)) {
+        return res.status(400).json({ error: 'Invalid campaign slug' });
+      }
+
+      const { brand: requestedBrand, ...query } = req.query;
+      // Only the parameters /store-click accepts in original_params are kept.
+      // Others are dropped rather than rejected, so a link that picked up an
+      // extra tracking parameter still reaches WhatsApp.
+      const params = Object.fromEntries(Object.entries(query).filter(([key]) => ORIGINAL_PARAM_KEYS.includes(key)));
+
+      let brand;
+      let channel;
+      try {
+        brand = await channelRegistry.resolveBrand(requestedBrand);
+        channel = brand && await channelRegistry.findByBrand(brand);
+      } catch (err) {
+        console.error('Channel registry error:', err);
+        return res.status(503).json({ error: 'Channel registry unavailable' });
+      }
+      if (!channel) {
+        return res.status(404).json({ error: 'No WhatsApp channel for this link' });
+      }
+
+      let text = channel.greeting;
+      try {
+        const sessionId = crypto.randomUUID();
+        const refCode = await refCodeStore.reserve(sessionId);
+        // Here the Referer is the page that linked to /go
+        const enrichment = await enrichClick(req, { params, referrer: req.get('referer') });
+        const utm = normalizeUtm(params, enrichment);
+        // The slug names the campaign when the link does not
+        if (utm.campaign === 'unknown') utm.campaign = campaignSlug;
+        await storeClick(sessionId, params, { ...utm, brand, ref_code: refCode, ...enrichment, ...classify(req, 'go') });
+
+        text = `${channel.greeting} ${formatRefCode(refCode)}`;
+        console.log(`Redirect click stored: ${sessionId} (${refCode})`);
+      } catch (err) {
+        // Still send the visitor to WhatsApp; the message will be treated as direct
+        console.error('Redirect click storage error:', err);
+      }
+
+      res.redirect(302, `https://wa.me/${channel.number}?text=${encodeURIComponent(text)}`);
+    });
+
+    // Conversion events (booked consultation, payment, ...) for an attributed lead
+    app.post('/conversions', requireScope('conversions:write'), async (req, res) => {
+      try {
+        const conversion = parseConversion(req.body || {});
+        if (conversion.phone) conversion.phone = await parseContactPhone(conversion.phone, req.body.countryCode);
+        const result = await conversionStore.recordConversion(conversion);
+
+        console.log(`Conversion ${result.event} for session ${result.sessionId || 'none'}`);
+        res.status(result.created ? 201 : 200).json({
+          id: result.id,
+          status: result.created ? 'recorded' : 'duplicate',
+          attributed: Boolean(result.sessionId),
+          sessionId: result.sessionId,
+          campaign: result.campaign
+        });
+      } catch (err) {
+        if (!err.status) console.error('Conversion error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    const metaCapiExporter = createMetaCapiExporter(db, {
+      getAccessToken: () => getSecret('meta-capi-token')
+    });
+
+    // Sends pending leads and conversions to Meta; meant for a scheduler like /scheduled-sync
+    app.post('/meta-capi/export', requireScope('sync:run'), async (req, res) => {
+      try {
+        const result = await metaCapiExporter.exportEvents({ dryRun: req.body?.dryRun === true });
+        res.status(200).json(result);
+      } catch (err) {
+        console.error('Meta CAPI export error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Optional ISO date range filter shared by the reporting endpoints
+    function parseDateRange(query) {
+      const range = {};
+      for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        const date = new Date(query[key]);
+        if (Number.isNaN(date.getTime())) {
+          throw Object.assign(new Error(`Invalid ${key} date: ${query[key]}`), { status: 400 });
+        }
+        range[key] = date;
+      }
+      return range;
+    }
+
+    function parseModel(query, fallback) {
+      const model = query.model || fallback;
+      if (model && !MODELS.includes(model)) {
+        throw Object.assign(new Error(`Unknown model: ${model}. Use one of ${MODELS.join(', ')}`), { status: 400 });
+      }
+      return model;
+    }
+
+    // Touchpoint timeline and credit under every model (or ?model=) for one contact.
+    // The number is normalized like a sender's (see parseContactPhone).
+    app.get('/attribution/contacts/:phone', requireScope('reports:read'), async (req, res) => {
+      try {
+        const phone = await parseContactPhone(req.params.phone, req.query.countryCode);
+        const models = [parseModel(req.query)].filter(Boolean);
+        const timeline = await touchpointStore.getTimeline(phone);
+
+        const credit = {};
+        (models.length ? models : MODELS).forEach(model => {
+          credit[model] = computeCredit(timeline, model);
+        });
+
+        res.status(200).json({ phone, timeline, credit });
+      } catch (err) {
+        if (!err.status) console.error('Contact attribution error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    // Pages walk the engaged records in (engagedAt, ID) order; the cursor
+    // points after the last record of the previous page
+    function encodeEngagedCursor(doc) {
+      const engagedAt = doc.get('engagedAt');
+      return Buffer.from(JSON.stringify([engagedAt.seconds, engagedAt.nanoseconds, doc.id])).toString('base64url');
+    }
+
+    function decodeEngagedCursor(cursor) {
+      try {
+        const [seconds, nanoseconds, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return [new admin.firestore.Timestamp(seconds, nanoseconds), id];
+      } catch (err) {
+        throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+      }
+    }
+
+    // Runs fn over items with at most `limit` calls in flight, keeping the order
+    async function mapWithConcurrency(items, limit, fn) {
+      const results = new Array(items.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < items.length) {
+          const i = next++;
+          results[i] = await fn(items[i]);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+      return results;
+    }
+
+    // Credit for the contacts engaged in a date range, one page of engaged
+    // records at a time. A contact engaged more than once in the range is
+    // counted on the page holding its first engagement, so summing the pages
+    // gives the totals for the whole range.
+    app.get('/attribution/campaigns', requireScope('reports:read'), async (req, res) => {
+      try {
+        const PAGE_SIZE = 200;
+        const MAX_PAGE_SIZE = 1000;
+        const TIMELINE_CONCURRENCY = 10;
+        const model = parseModel(req.query, 'linear');
+        const { from, to } = parseDateRange(req.query);
+        if (!from || !to) {
+          return res.status(400).json({ error: 'from and to are required' });
+        }
+        const limit = req.query.limit === undefined ? PAGE_SIZE : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+          return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` });
+        }
+        const brand = req.query.brand || null;
+
+        // Only engaged records have engagedAt, so the range selects them
+        let engaged = clicksCollection
+          .where('engagedAt', '>=', from)
+          .where('engagedAt', '<=', to);
+        if (brand) engaged = engaged.where('brand', '==', brand);
+        engaged = engaged.orderBy('engagedAt').orderBy(admin.firestore.FieldPath.documentId());
+
+        let page = engaged.limit(limit);
+        if (req.query.cursor) page = page.startAfter(...decodeEngagedCursor(req.query.cursor));
+        const snapshot = await page.get();
+
+        const pageIds = new Set(snapshot.docs.map(doc => doc.id));
+        const phones = [...new Set(snapshot.docs
+          .map(doc => doc.data().phoneNumber)
+          .filter(Boolean))];
+
+        const creditLists = await mapWithConcurrency(phones, TIMELINE_CONCURRENCY, async phone => {
+          const first = await engaged.where('phoneNumber', '==', phone).limit(1).get();
+          if (first.empty || !pageIds.has(first.docs[0].id)) return null;
+
+          // Unbranded touches predate brand tagging and count for every brand
+          const timeline = (await touchpointStore.getTimeline(phone))
+            .filter(touch => !brand || !touch.brand || touch.brand === brand);
+          return computeCredit(timeline, model);
+        });
+        const counted = creditLists.filter(Boolean);
+
+        res.status(200).json({
+          model,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          brand,
+          contacts: counted.length,
+          campaigns: aggregateCredit(counted),
+          nextCursor: snapshot.size === limit ? encodeEngagedCursor(snapshot.docs[snapshot.size - 1]) : null
+        });
+      } catch (err) {
+        console.error('Campaign attribution error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    // Campaign performance over clicks made in the date range (default: last 30 days)
+    app.get('/reports/campaigns', requireScope('reports:read'), async (req, res) => {
+      try {
+        const groupBy = parseGroupBy(req.query.groupBy);
+        const range = parseDateRange(req.query);
+        const from = range.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const to = range.to || new Date();
+
+        const snapshot = await clicksCollection
+          .where('timestamp', '>=', from)
+          .where('timestamp', '<=', to)
+          .select(...GROUP_FIELDS, 'brand', 'click_time', 'hasEngaged', 'engagedAt',
+            'attribution_source', 'conversionCount', 'conversionValues', 'is_bot')
+          .get();
+
+        const records = snapshot.docs
+          .map(doc => doc.data())
+          .filter(data => !req.query.brand || data.brand === req.query.brand);
+
+        res.status(200).json({
+          from: from.toISOString(),
+          to: to.toISOString(),
+          brand: req.query.brand || null,
+          groupBy,
+          rows: buildCampaignReport(records, groupBy)
+        });
+      } catch (err) {
+        if (!err.status) console.error('Campaign report error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    // Streams sessions as CSV or NDJSON; ?limit= with the X-Next-Cursor header pages large exports
+    app.get('/exports/sessions', requireScope('reports:read'), async (req, res) => {
+      let filters;
+      let range;
+      try {
+        filters = parseExportQuery(req.query);
+        range = parseDateRange(req.query);
+      } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+      }
+
+      try {
+        const { written, nextCursor } = await streamSessions(clicksCollection, res, range, filters);
+        console.log(`Exported ${written} sessions as ${filters.format}${nextCursor ? ' (more available)' : ''}`);
+      } catch (err) {
+        console.error('Session export error:', err);
+        // Headers are already out once streaming has started
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'Export failed' });
+      }
+    });
+
+    const deadLetterStore = createDeadLetterStore(db);
+
+    // Sessions the export sync gave up on; ?limit= and ?after=<id> page the list
+    app.get('/sync/dead-letters', requireScope('admin:write'), async (req, res) => {
+      try {
+        res.status(200).json(await deadLetterStore.list({ limit: req.query.limit, after: req.query.after }));
+      } catch (err) {
+        if (!err.status) console.error('Dead letter list error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    app.get('/sync/dead-letters/:sessionId', requireScope('admin:write'), async (req, res) => {
+      try {
+        res.status(200).json(await deadLetterStore.get(req.params.sessionId));
+      } catch (err) {
+        if (!err.status) console.error('Dead letter lookup error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    // Puts the session back in the sync queue
+    app.post('/sync/dead-letters/:sessionId/retry', requireScope('admin:write'), async (req, res) => {
+      try {
+        res.status(200).json(await deadLetterStore.retry(req.params.sessionId));
+      } catch (err) {
+        if (!err.status) console.error('Dead letter retry error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    app.delete('/sync/dead-letters/:sessionId', requireScope('admin:write'), async (req, res) => {
+      try {
+        res.status(200).json(await deadLetterStore.discard(req.params.sessionId));
+      } catch (err) {
+        if (!err.status) console.error('Dead letter discard error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    const privacyService = createPrivacyService(db, {
+      sinks: createSinks({ db, channelRegistry }),
+      getSubjectKey: () => getSecret(SUBJECT_KEY_SECRET)
+    });
+    const auditLog = createAuditLog(db);
+
+    // Drops cached secrets on this instance after a rotation, instead of waiting
+    // for the TTL. Without a name every cached secret is fetched again.
+    app.post('/secrets/invalidate', requireScope('admin:write'), async (req, res) => {
+      try {
+        const name = req.body?.name;
+        if (name !== undefined && (typeof name !== 'string' || !name)) {
+          return res.status(400).json({ error: 'name must be a secret name' });
+        }
+
+        const invalidated = secrets.invalidate(name);
+        await auditLog.record('secrets.invalidate', { actor: `key:${req.apiKey.id}`, details: { name: name || null, invalidated } });
+        res.status(200).json({ invalidated });
+      } catch (err) {
+        console.error('Secret invalidation error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Data-subject erasure: anonymizes the contact's sessions (their sheet rows
+    // are rewritten by the export sync) and deletes the rest of their records.
+    // The number is normalized like a sender's; `countryCode` picks the prefix
+    // for a local number when the channels use more than one.
+    app.delete('/contacts/:phone', requireScope('admin:write'), async (req, res) => {
+      try {
+        const phone = await parseContactPhone(req.params.phone, req.query.countryCode);
+        const result = await privacyService.eraseContact(phone, { actor: `key:${req.apiKey.id}` });
+        console.log(`Contact erased (audit ${result.auditId}): ${result.sessionsAnonymized} sessions anonymized`);
+        res.status(200).json(result);
+      } catch (err) {
+        if (!err.status || err.status >= 500) console.error('Contact erasure error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    });
+
+    // Retention purge and redaction; meant for a scheduler like /scheduled-sync.
+    // A dry run unless the body asks for `apply: true`.
+    app.post('/retention/run', requireScope('admin:write'), async (req, res) => {
+      try {
+        const result = await privacyService.runRetention({ apply: req.body?.apply === true, actor: `key:${req.apiKey.id}` });
+        res.status(200).json(result);
+      } catch (err) {
+        console.error('Retention run error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
     // Readiness endpoint
     app.get('/readiness', async (req, res) => {
       try {
         await db.listCollections();
-        res.status(200).json({ status: 'ready' });
       } catch (err) {
-        res.status(500).json({ error: 'Not ready' });
+        return res.status(500).json({ error: 'Not ready' });
+      }
+
+      // The dead-letter count is informational; failing to read it must not
+      // take the instance out of rotation
+      try {
+        const deadLetters = await deadLetterStore.count();
+        res.status(200).json({ status: 'ready', deadLetters });
+      } catch (err) {
+        console.error('Dead-letter count error:', err.message);
+        res.status(200).json({ status: 'ready', deadLetters: null, degraded: ['deadLetters'] });
       }
     });
 
-    // Initialize Google Sheets sync
-    const { scheduledSync, setupRealtimeSync } = require('./google-sheets-sync');
+    // Initialize the export sync (Google Sheets and the other sinks in EXPORT_SINKS)
+    const { scheduledSync, setupRealtimeSync } = require('./export-sync');
     
     // Setup scheduled sync endpoint
-    app.post('/scheduled-sync', async (req, res) => {
+    app.post('/scheduled-sync', requireScope('sync:run'), async (req, res) => {
       try {
         const result = await scheduledSync();
         res.status(200).json(result);
@@ -388,6 +680,7 @@ setImmediate(async () => {
     process.on('SIGTERM', () => {
       console.log('Shutting down, cleaning up listeners...');
       if (unsubscribeSheetsSync) unsubscribeSheetsSync();
+      secrets.stop();
       server.close();
     });
 
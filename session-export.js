@@ -0,0 +1,188 @@
+const { once } = require('events');
+const admin = require('firebase-admin');
+
+// Streams utmClicks records as CSV or NDJSON, one Firestore page at a time,
+// so large exports never hold more than PAGE_SIZE documents in memory.
+const PAGE_SIZE = 500;
+const FORMATS = ['csv', 'ndjson'];
+// Limited exports are buffered so the next cursor can go in a header
+const MAX_LIMIT = 5000;
+
+const COLUMNS = [
+  'session_id', 'brand', 'click_time', 'timestamp', 'source', 'medium', 'campaign',
+  'content', 'placement', 'ref_code', 'fbclid', 'has_engaged', 'engaged_at',
+  'attribution_source', 'attribution_confidence', 'phone_number', 'contact_id',
+  'conversation_id', 'contact_name', 'last_message', 'conversion_count', 'conversion_values',
+  // Click enrichment; appended so existing CSV consumers keep their column positions
+  'gclid', 'ttclid', 'msclkid', 'referrer', 'landing_page', 'country', 'device_type', 'os', 'browser'
+];
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return null;
+}
+
+function toExportRecord(doc) {
+  const data = doc.data();
+  return {
+    session_id: doc.id,
+    brand: data.brand || null,
+    click_time: toIso(data.click_time),
+    timestamp: toIso(data.timestamp),
+    source: data.source || null,
+    medium: data.medium || null,
+    campaign: data.campaign || null,
+    content: data.content || null,
+    placement: data.placement || null,
+    ref_code: data.ref_code || null,
+    fbclid: data.fbclid || data.original_params?.fbclid || null,
+    has_engaged: Boolean(data.hasEngaged),
+    engaged_at: toIso(data.engagedAt),
+    attribution_source: data.attribution_source || null,
+    attribution_confidence: data.attribution_confidence ?? null,
+    phone_number: data.phoneNumber || null,
+    contact_id: data.contactId || null,
+    conversation_id: data.conversationId || null,
+    contact_name: data.contactName || null,
+    last_message: data.lastMessage || null,
+    conversion_count: data.conversionCount || 0,
+    conversion_values: data.conversionValues || {},
+    gclid: data.gclid || data.original_params?.gclid || null,
+    ttclid: data.ttclid || data.original_params?.ttclid || null,
+    msclkid: data.msclkid || data.original_params?.msclkid || null,
+    referrer: data.referrer || null,
+    landing_page: data.landing_page || null,
+    country: data.country || null,
+    device_type: data.device_type || null,
+    os: data.os || null,
+    browser: data.browser || null
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serialize(record, format) {
+  if (format === 'ndjson') return `${JSON.stringify(record)}\n`;
+  return `${COLUMNS.map(column => csvCell(record[column])).join(',')}\r\n`;
+}
+
+// Cursors point after a (timestamp, document ID) pair
+function encodeCursor(doc) {
+  const timestamp = doc.get('timestamp');
+  return Buffer.from(JSON.stringify([timestamp.seconds, timestamp.nanoseconds, doc.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [seconds, nanoseconds, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return [new admin.firestore.Timestamp(seconds, nanoseconds), id];
+  } catch (err) {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+}
+
+function parseExportQuery(query) {
+  const format = query.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of ${FORMATS.join(', ')}`), { status: 400 });
+  }
+
+  const limit = query.limit === undefined ? null : Number(query.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    throw Object.assign(new Error(`limit must be an integer from 1 to ${MAX_LIMIT}`), { status: 400 });
+  }
+
+  if (query.engaged !== undefined && !['true', 'false'].includes(query.engaged)) {
+    throw Object.assign(new Error('engaged must be true or false'), { status: 400 });
+  }
+
+  return {
+    format,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    engaged: query.engaged === undefined ? null : query.engaged === 'true',
+    attribution: query.attribution || null,
+    campaign: query.campaign || null,
+    brand: query.brand || null
+  };
+}
+
+// Only the timestamp range is applied in Firestore; the other filters are
+// checked per document so no composite index is needed for each combination
+function matchesFilters(data, filters) {
+  if (filters.engaged !== null && Boolean(data.hasEngaged) !== filters.engaged) return false;
+  if (filters.attribution && data.attribution_source !== filters.attribution) return false;
+  if (filters.campaign && data.campaign !== filters.campaign) return false;
+  if (filters.brand && data.brand !== filters.brand) return false;
+  return true;
+}
+
+// Writes matching sessions to res. Without `limit` they are streamed as they
+// are read. With `limit` the page is buffered, and when more records remain
+// the cursor for the next request is sent in the X-Next-Cursor header.
+async function streamSessions(clicksCollection, res, { from, to }, filters) {
+  const { format, limit } = filters;
+  let baseQuery = clicksCollection
+    .orderBy('timestamp')
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (from) baseQuery = baseQuery.where('timestamp', '>=', from);
+  if (to) baseQuery = baseQuery.where('timestamp', '<=', to);
+
+  const buffered = limit !== null;
+  const chunks = [];
+  // The file headers are set once the first page has loaded, so a failing
+  // query (e.g. a missing index) can still be answered with a JSON error
+  let started = false;
+  const start = () => {
+    started = true;
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="sessions.${format}"`);
+    if (format === 'csv') chunks.push(`${COLUMNS.join(',')}\r\n`);
+  };
+
+  let after = filters.cursor;
+  let written = 0;
+  let lastScanned = null;
+  let nextCursor = null;
+
+  while (!res.destroyed) {
+    let query = baseQuery.limit(PAGE_SIZE);
+    if (after) query = query.startAfter(...after);
+    const snapshot = await query.get();
+    if (!started) start();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      if (limit !== null && written >= limit) {
+        nextCursor = encodeCursor(lastScanned);
+        break;
+      }
+      lastScanned = doc;
+      if (!matchesFilters(doc.data(), filters)) continue;
+
+      written++;
+      chunks.push(serialize(toExportRecord(doc), format));
+      if (!buffered && !res.write(chunks.splice(0).join(''))) {
+        // Stop waiting if the client goes away mid-export
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+
+    if (nextCursor || snapshot.size < PAGE_SIZE) break;
+    after = [lastScanned.get('timestamp'), lastScanned.id];
+  }
+
+  if (!started) start();
+  if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+  res.end(chunks.join(''));
+  return { written, nextCursor };
+}
+
+module.exports = { parseExportQuery, streamSessions, toExportRecord, serialize, csvCell, COLUMNS };
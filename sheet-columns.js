@@ -0,0 +1,105 @@
+const fs = require('fs');
+
+// Column schema of the Sheets export. Each column has:
+//   header   - header cell text; columns are matched to the sheet by header
+//   fields   - document field paths tried in order (dots for nested fields,
+//              `$id` for the session ID); the first non-empty value is used
+//   format   - optional formatter name from FORMATTERS, with its options
+//   default  - value when no field is set (`$now` for the sync time)
+//   placeholders - values that give way to a later field, used only when no
+//              later field is set
+// SHEET_COLUMNS_PATH can point to a JSON file with the same structure.
+const DEFAULT_COLUMNS = [
+  { header: 'Timestamp', fields: ['click_time', 'timestamp'], format: 'timestamp', default: '$now' },
+  { header: 'Phone Number', fields: ['phoneNumber'], default: 'N/A' },
+  // Normalized when the click is stored (utm-normalizer.js). Clicks stored
+  // before that have `unknown` there and the Meta macro values only in
+  // original_params.
+  { header: 'UTM Source', fields: ['source'], default: 'direct' },
+  { header: 'UTM Medium', fields: ['medium'], default: 'organic' },
+  {
+    header: 'UTM Campaign',
+    fields: ['campaign', 'original_params.CampaignName', 'original_params.Campaign Name', 'original_params.Campaign_Name'],
+    placeholders: ['unknown'],
+    default: 'none'
+  },
+  {
+    header: 'UTM Content',
+    fields: ['content', 'original_params.AdName', 'original_params.Ad Name', 'original_params.Ad_Name'],
+    placeholders: ['unknown'],
+    default: 'none'
+  },
+  { header: 'Placement', fields: ['placement', 'original_params.Placement'], placeholders: ['unknown'], default: 'N/A' },
+  { header: 'Engaged', fields: ['hasEngaged'], format: 'boolean', default: '❌ NO' },
+  { header: 'Engaged At', fields: ['engagedAt'], format: 'timestamp', default: 'N/A' },
+  { header: 'Attribution Source', fields: ['attribution_source'], default: 'unknown' },
+  { header: 'Contact ID', fields: ['contactId'], default: 'N/A' },
+  { header: 'Conversation ID', fields: ['conversationId'], default: 'N/A' },
+  { header: 'Contact Name', fields: ['contactName'], default: 'Anonymous' },
+  { header: 'Last Message', fields: ['lastMessage'], format: 'truncate', maxLength: 150, default: 'No text content' },
+  { header: 'Conversions', fields: ['conversionCount'], default: 0 },
+  { header: 'Conversion Value', fields: ['conversionValues'], format: 'currencyTotals', default: 'N/A' },
+  { header: 'Session ID', fields: ['$id'] }
+];
+
+const FORMATTERS = {
+  // ISO 8601 in UTC, or "YYYY-MM-DD HH:mm:ss" in `timeZone`
+  timestamp(value, { timeZone = process.env.SHEETS_TIMEZONE || 'UTC' }) {
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    if (Number.isNaN(date.getTime())) return undefined;
+    if (timeZone === 'UTC') return date.toISOString();
+    return date.toLocaleString('sv-SE', { timeZone, hour12: false });
+  },
+  // Single line, cut to `maxLength` characters
+  truncate(value, { maxLength = 150 }) {
+    return String(value).substring(0, maxLength).replace(/\n/g, ' ');
+  },
+  boolean(value, { trueLabel = '✅ YES', falseLabel = '❌ NO' }) {
+    return value ? trueLabel : falseLabel;
+  },
+  // "INR 1200, USD 15" from the per-currency totals kept by /conversions
+  currencyTotals(value) {
+    const entries = Object.entries(value || {});
+    if (!entries.length) return undefined;
+    return entries.map(([currency, amount]) => `${currency} ${amount}`).join(', ');
+  }
+};
+
+function loadColumns() {
+  const columns = process.env.SHEET_COLUMNS_PATH
+    ? JSON.parse(fs.readFileSync(process.env.SHEET_COLUMNS_PATH, 'utf8'))
+    : DEFAULT_COLUMNS;
+
+  columns.forEach(column => {
+    if (!column.header || !Array.isArray(column.fields) || !column.fields.length) {
+      throw new Error(`Invalid sheet column: ${JSON.stringify(column)}`);
+    }
+    if (column.format && !FORMATTERS[column.format]) {
+      throw new Error(`Unknown formatter "${column.format}" for column ${column.header}`);
+    }
+  });
+  if (!columns.some(column => column.fields.includes('$id'))) {
+    throw new Error('The sheet schema needs a column with the `$id` field to match rows to sessions');
+  }
+  return columns;
+}
+
+function readField(doc, data, path) {
+  if (path === '$id') return doc.id;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function cellValue(column, doc, data) {
+  const values = column.fields
+    .map(path => readField(doc, data, path))
+    .filter(value => value !== undefined && value !== null && value !== '');
+  const placeholders = column.placeholders || [];
+  const raw = values.find(value => !placeholders.includes(value)) ?? values[0];
+
+  const value = raw === undefined || !column.format ? raw : FORMATTERS[column.format](raw, column);
+  if (value !== undefined) return value;
+  if (column.default === '$now') return FORMATTERS.timestamp(new Date(), column);
+  return column.default ?? '';
+}
+
+module.exports = { loadColumns, cellValue };
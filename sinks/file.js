@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { toExportRecord, serialize, csvCell, COLUMNS } = require('../session-export');
+const { normalizeNumber } = require('../channel-registry');
+
+// Local file sink: appends every exported version of a session to
+// EXPORT_FILE_PATH as CSV or NDJSON (EXPORT_FILE_FORMAT, or the file
+// extension). The file is a log; a session that changes appears again.
+const FORMATS = ['csv', 'ndjson'];
+
+// Export record keys of the session fields an erasure removes
+const RECORD_KEYS = {
+  phoneNumber: 'phone_number',
+  contactId: 'contact_id',
+  conversationId: 'conversation_id',
+  contactName: 'contact_name',
+  lastMessage: 'last_message'
+};
+
+// Rows of a CSV file as arrays of cells; quoted cells may hold line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell.replace(/\r$/, ''));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  return rows;
+}
+
+function createFileSink() {
+  const filePath = process.env.EXPORT_FILE_PATH;
+  if (!filePath) {
+    throw new Error('The file sink needs EXPORT_FILE_PATH');
+  }
+
+  const format = process.env.EXPORT_FILE_FORMAT || (path.extname(filePath) === '.csv' ? 'csv' : 'ndjson');
+  if (!FORMATS.includes(format)) {
+    throw new Error(`EXPORT_FILE_FORMAT must be one of ${FORMATS.join(', ')}`);
+  }
+
+  // Appends and erasures run one at a time, so a rewrite does not lose lines
+  let pending = Promise.resolve();
+  const serially = (task) => {
+    const run = pending.then(task);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  function write(docs) {
+    return serially(async () => {
+      let text = docs.map(doc => serialize(toExportRecord(doc), format)).join('');
+
+      // A new or emptied CSV file starts with the header row
+      if (format === 'csv') {
+        const size = await fs.stat(filePath).then(stats => stats.size, () => 0);
+        if (!size) text = `${COLUMNS.join(',')}\r\n${text}`;
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, text);
+      return { written: new Map(docs.map(doc => [doc.id, {}])), failed: new Map() };
+    });
+  }
+
+  // Rewrites the log with `fields` emptied in every line of the phone number or
+  // of one of the sessions. Returns the number of lines changed.
+  function erase({ phone, sessionIds, fields }) {
+    return serially(async () => {
+      const text = await fs.readFile(filePath, 'utf8').catch(err => {
+        if (err.code === 'ENOENT') return '';
+        throw err;
+      });
+      const keys = fields.map(field => RECORD_KEYS[field]).filter(Boolean);
+      const matches = (record) => sessionIds.includes(record.session_id) || normalizeNumber(record.phone_number) === phone;
+      let erased = 0;
+
+      let lines;
+      if (format === 'ndjson') {
+        lines = text.split('\n').filter(Boolean).map(line => {
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (err) {
+            return line;
+          }
+          if (!matches(record)) return line;
+          erased++;
+          keys.forEach(key => { record[key] = null; });
+          return JSON.stringify(record);
+        }).map(line => `${line}\n`);
+      } else {
+        const [headers = [], ...rows] = parseCsv(text);
+        lines = [headers, ...rows.map(row => {
+          const record = Object.fromEntries(headers.map((header, i) => [header, row[i]]));
+          if (!matches(record)) return row;
+          erased++;
+          return headers.map((header, i) => (keys.includes(header) ? '' : row[i]));
+        })].map(row => `${row.map(csvCell).join(',')}\r\n`);
+      }
+
+      if (erased) {
+        // Written next to the log and renamed over it, so a crash leaves one or the other
+        const tempPath = `${filePath}.erase-${process.pid}`;
+        await fs.writeFile(tempPath, lines.join(''));
+        await fs.rename(tempPath, filePath);
+        console.log(`🧹 Erased ${erased} lines in ${filePath}`);
+      }
+      return erased;
+    });
+  }
+
+  return { name: 'file', write, erase };
+}
+
+module.exports = { createFileSink };
@@ -0,0 +1,35 @@
+// Export sinks the sync worker (export-sync.js) fans engaged sessions out to.
+// EXPORT_SINKS lists the enabled ones, comma separated (default: sheets); each
+// sink reads its own settings from the environment.
+//
+// A sink is created with `{ db, channelRegistry }` and returns
+// `{ name, write(docs) }`. `write` gets session snapshots and resolves to
+// `{ written, failed }`: a Map of session ID to extra state kept under
+// `sinks.<name>` for each written session, and a Map of session ID to Error.
+// Throwing fails the whole batch.
+//
+// A sink that keeps copies outside Firestore may also have
+// `erase({ phone, sessionIds, fields })`, called by a contact erasure
+// (privacy.js) to remove `fields` from the contact's records right away. It
+// resolves to the number of records changed.
+
+// Required on use, so drivers of disabled sinks need not be installed
+const FACTORIES = {
+  sheets: () => require('./sheets').createSheetsSink,
+  webhook: () => require('./webhook').createWebhookSink,
+  file: () => require('./file').createFileSink,
+  sql: () => require('./sql').createSqlSink
+};
+
+function createSinks(context) {
+  const names = (process.env.EXPORT_SINKS || 'sheets').split(',').map(name => name.trim()).filter(Boolean);
+
+  return [...new Set(names)].map(name => {
+    if (!FACTORIES[name]) {
+      throw new Error(`Unknown export sink "${name}". Use one of ${Object.keys(FACTORIES).join(', ')}`);
+    }
+    return FACTORIES[name]()(context);
+  });
+}
+
+module.exports = { createSinks };
@@ -0,0 +1,319 @@
+const { GoogleAuth } = require('google-auth-library');
+const { sheets } = require('@googleapis/sheets');
+const fs = require('fs');
+const { loadColumns, cellValue } = require('../sheet-columns');
+const { normalizeNumber } = require('../channel-registry');
+const { config } = require('../config');
+
+// Google Sheets sink: one row per session in the spreadsheet of the session's
+// brand (see channel-registry.js), updated in place when the session changes.
+
+// Column schema (see sheet-columns.js); cells are matched to columns by header
+const COLUMNS = loadColumns();
+const SHEET_HEADERS = COLUMNS.map(column => column.header);
+// Rows are matched to sessions through this column when they are upserted
+const SESSION_HEADER = COLUMNS.find(column => column.fields.includes('$id')).header;
+// Erasure also finds rows through the phone number, for rows of direct messages
+// and rows written before the Session ID column existed
+const PHONE_HEADERS = COLUMNS.filter(column => column.fields.includes('phoneNumber')).map(column => column.header);
+
+// A1 notation with the sheet name quoted, so names with spaces work
+function a1(sheetName, range) {
+  return `'${sheetName.replace(/'/g, "''")}'!${range}`;
+}
+
+// Column letter of a 1-based column number (1 -> A, 27 -> AA)
+function columnLetter(number) {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Initialize Google Sheets API client
+async function initializeSheetsClient() {
+  if (config.sheetsBackend === 'fake') {
+    return require('../fake-sheets').fakeSheetsClient;
+  }
+
+  try {
+    const credentials = JSON.parse(fs.readFileSync(config.credentialsPath, 'utf8'));
+
+    const auth = new GoogleAuth({
+      scopes: [
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/drive'
+      ],
+      credentials
+    });
+
+    return sheets({ version: 'v4', auth: await auth.getClient() });
+  } catch (error) {
+    console.error('🔥 Sheets client initialization failed:', error.message);
+    throw error;
+  }
+}
+
+// Rows follow the header order of the sheet. Columns added by hand are not in
+// the schema and get null, which leaves their cells untouched.
+function convertToSheetRows(docs, headers) {
+  const columns = headers.map(header => COLUMNS.find(column => column.header === header));
+
+  return docs.map(doc => {
+    const data = doc.data();
+    console.log('Processing document ID:', doc.id);
+    return columns.map(column => (column ? cellValue(column, doc, data) : null));
+  });
+}
+
+// Creates the sheet if needed and appends schema columns it does not have
+// yet. Returns the header row of the sheet.
+async function ensureSheet(sheetsClient, { spreadsheetId, sheetName }) {
+  // 1. Get spreadsheet metadata and verify sheet exists
+  const { data: spreadsheet } = await sheetsClient.spreadsheets.get({
+    spreadsheetId,
+    includeGridData: false
+  });
+
+  console.log(`✅ Accessing spreadsheet: "${spreadsheet.properties.title}"`);
+
+  // 2. Check if sheet exists
+  const sheet = spreadsheet.sheets?.find(s => s.properties?.title === sheetName);
+
+  // 3. Create sheet if it doesn't exist
+  if (!sheet) {
+    console.log(`📄 Creating new sheet: ${sheetName}`);
+    await sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          addSheet: {
+            properties: {
+              title: sheetName,
+              gridProperties: {
+                rowCount: 1000,
+                columnCount: SHEET_HEADERS.length
+              }
+            }
+          }
+        }]
+      }
+    });
+  }
+
+  // 4. Now handle headers
+  const { data: sheetsData } = await sheetsClient.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1(sheetName, '1:1')
+  });
+
+  // Columns added to the schema since the sheet was set up go after the
+  // existing ones, so rows already written keep their layout
+  const currentHeaders = sheetsData.values?.[0] || [];
+  const missingHeaders = SHEET_HEADERS.filter(header => !currentHeaders.includes(header));
+  if (!missingHeaders.length) {
+    return currentHeaders;
+  }
+  const headers = [...currentHeaders, ...missingHeaders];
+
+  const columnCount = sheet ? sheet.properties.gridProperties?.columnCount || 0 : SHEET_HEADERS.length;
+  if (columnCount < headers.length) {
+    console.log(`📐 Adding columns to sheet: ${sheetName}`);
+    await sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          appendDimension: {
+            sheetId: sheet.properties.sheetId,
+            dimension: 'COLUMNS',
+            length: headers.length - columnCount
+          }
+        }]
+      }
+    });
+  }
+
+  console.log(`⏳ Setting up headers: ${missingHeaders.join(', ')}`);
+  await sheetsClient.spreadsheets.values.update({
+    spreadsheetId,
+    range: a1(sheetName, `A1:${columnLetter(headers.length)}1`),
+    valueInputOption: 'RAW',
+    resource: { values: [headers] }
+  });
+  return headers;
+}
+
+// Row number of each session already in the sheet. The row stored on the
+// document is used when the Session ID cell there still matches (rows may have
+// been sorted or deleted by hand); otherwise the column is searched.
+async function findSessionRows(sheetsClient, { spreadsheetId, sheetName, docs }, headers) {
+  const sessionColumn = columnLetter(headers.indexOf(SESSION_HEADER) + 1);
+  const { data } = await sheetsClient.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1(sheetName, `${sessionColumn}:${sessionColumn}`)
+  });
+  const column = (data.values || []).map(row => row[0]);
+
+  const rows = new Map();
+  docs.forEach(doc => {
+    // Rows written before sinks existed are kept at the top level
+    const stored = doc.data().sinks?.sheets?.sheetRow || doc.data().sheetRow;
+    if (stored && stored.spreadsheetId === spreadsheetId && stored.sheetName === sheetName &&
+        column[stored.row - 1] === doc.id) {
+      rows.set(doc.id, stored.row);
+      return;
+    }
+    const index = column.indexOf(doc.id, 1);
+    if (index > 0) rows.set(doc.id, index + 1);
+  });
+  return rows;
+}
+
+// Updates the rows of sessions already in the sheet in place and appends the
+// rest. Returns the row number of every written session.
+async function upsertDocs(sheetsClient, group, headers) {
+  const { spreadsheetId, sheetName, docs } = group;
+  const existingRows = await findSessionRows(sheetsClient, group, headers);
+  const rows = convertToSheetRows(docs, headers);
+  const lastColumn = columnLetter(headers.length);
+
+  const updates = [];
+  const appends = [];
+  docs.forEach((doc, i) => {
+    if (existingRows.has(doc.id)) {
+      const row = existingRows.get(doc.id);
+      updates.push({ range: a1(sheetName, `A${row}:${lastColumn}${row}`), values: [rows[i]] });
+    } else {
+      appends.push({ doc, values: rows[i] });
+    }
+  });
+
+  const sessionRows = new Map(existingRows);
+
+  if (updates.length) {
+    await sheetsClient.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: { valueInputOption: 'USER_ENTERED', data: updates }
+    });
+    console.log(`✏️ Updated ${updates.length} existing rows`);
+  }
+
+  if (appends.length) {
+    const appendResponse = await sheetsClient.spreadsheets.values.append({
+      spreadsheetId,
+      range: a1(sheetName, `A:${lastColumn}`),
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: appends.map(append => append.values) }
+    });
+
+    const { updatedRange } = appendResponse.data.updates;
+    console.log('📝 Sheets update:', updatedRange);
+    // e.g. 'Sheet1'!A120:Q125 - appended rows are contiguous from the first one
+    const firstRow = Number(updatedRange.match(/![A-Z]+(\d+)/)[1]);
+    appends.forEach(({ doc }, i) => sessionRows.set(doc.id, firstRow + i));
+  }
+
+  return sessionRows;
+}
+
+// Rewrites the cells of `fields` in every row of the phone number or of one of
+// the sessions with their column defaults. Returns the number of rows changed.
+async function eraseRows(sheetsClient, { spreadsheetId, sheetName }, { phone, sessionIds, fields }) {
+  const { data: spreadsheet } = await sheetsClient.spreadsheets.get({ spreadsheetId, includeGridData: false });
+  if (!spreadsheet.sheets?.some(s => s.properties?.title === sheetName)) return 0;
+
+  const { data } = await sheetsClient.spreadsheets.values.get({ spreadsheetId, range: a1(sheetName, 'A:ZZ') });
+  const [headers = [], ...rows] = data.values || [];
+  const sessionColumn = headers.indexOf(SESSION_HEADER);
+  const phoneColumns = PHONE_HEADERS.map(header => headers.indexOf(header)).filter(index => index >= 0);
+
+  // null leaves a cell as it is
+  const erased = headers.map(header => {
+    const column = COLUMNS.find(c => c.header === header);
+    return column && column.fields.some(field => fields.includes(field)) ? cellValue(column, { id: null }, {}) : null;
+  });
+  const lastColumn = columnLetter(headers.length);
+
+  const updates = [];
+  rows.forEach((row, i) => {
+    const matches = (sessionColumn >= 0 && sessionIds.includes(row[sessionColumn])) ||
+      phoneColumns.some(index => normalizeNumber(row[index]) === phone);
+    if (matches) updates.push({ range: a1(sheetName, `A${i + 2}:${lastColumn}${i + 2}`), values: [erased] });
+  });
+
+  if (updates.length) {
+    await sheetsClient.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: { valueInputOption: 'RAW', data: updates }
+    });
+    console.log(`🧹 Erased ${updates.length} rows in ${spreadsheetId}/${sheetName}`);
+  }
+  return updates.length;
+}
+
+function createSheetsSink({ channelRegistry }) {
+  // Group documents by the spreadsheet of their brand's channel; records
+  // without a registered brand go to SHEETS_SPREADSHEET_ID
+  async function groupDocsByTarget(docs) {
+    const groups = new Map();
+
+    for (const doc of docs) {
+      const channel = await channelRegistry.findByBrand(doc.data().brand);
+      const spreadsheetId = channel ? channel.spreadsheetId : process.env.SHEETS_SPREADSHEET_ID;
+      const sheetName = channel ? channel.sheetName : 'Sheet1';
+      const key = `${spreadsheetId}/${sheetName}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { spreadsheetId, sheetName, docs: [] });
+      }
+      groups.get(key).docs.push(doc);
+    }
+
+    return [...groups.values()];
+  }
+
+  // Each target is written on its own, so one failing spreadsheet does not
+  // hold back the others
+  async function write(docs) {
+    const written = new Map();
+    const failed = new Map();
+    const sheetsClient = await initializeSheetsClient();
+
+    for (const group of await groupDocsByTarget(docs)) {
+      try {
+        const headers = await ensureSheet(sheetsClient, group);
+        const sessionRows = await upsertDocs(sheetsClient, group, headers);
+        group.docs.forEach(doc => written.set(doc.id, {
+          sheetRow: { spreadsheetId: group.spreadsheetId, sheetName: group.sheetName, row: sessionRows.get(doc.id) }
+        }));
+      } catch (err) {
+        console.error(`❌ Sheets write to ${group.spreadsheetId}/${group.sheetName} failed:`, err.message);
+        group.docs.forEach(doc => failed.set(doc.id, err));
+      }
+    }
+
+    return { written, failed };
+  }
+
+  // Data-subject erasure (privacy.js). Every brand's spreadsheet is searched,
+  // since rows of direct messages and older rows may not be tied to a session.
+  async function erase(request) {
+    const sheetsClient = await initializeSheetsClient();
+    const targets = new Map([[`${process.env.SHEETS_SPREADSHEET_ID}/Sheet1`, { spreadsheetId: process.env.SHEETS_SPREADSHEET_ID, sheetName: 'Sheet1' }]]);
+    (await channelRegistry.getChannels()).forEach(({ spreadsheetId, sheetName }) => {
+      targets.set(`${spreadsheetId}/${sheetName}`, { spreadsheetId, sheetName });
+    });
+
+    let erased = 0;
+    for (const target of targets.values()) {
+      if (target.spreadsheetId) erased += await eraseRows(sheetsClient, target, request);
+    }
+    return erased;
+  }
+
+  return { name: 'sheets', write, erase };
+}
+
+module.exports = { createSheetsSink };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { toExportRecord } = require('../session-export');
+
+// HTTPS webhook sink: POSTs `{ "sessions": [...] }` (the /exports/sessions
+// record shape) in batches. The receiver checks
+//   X-UTM-Signature: sha256=<hex HMAC-SHA256 of "<X-UTM-Timestamp>.<body>">
+// with the shared EXPORT_WEBHOOK_SECRET.
+const BATCH_SIZE = Number(process.env.EXPORT_WEBHOOK_BATCH_SIZE || 100);
+const TIMEOUT_MS = 15000;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookSink() {
+  const url = process.env.EXPORT_WEBHOOK_URL;
+  const secret = process.env.EXPORT_WEBHOOK_SECRET;
+  if (!url || !secret) {
+    throw new Error('The webhook sink needs EXPORT_WEBHOOK_URL and EXPORT_WEBHOOK_SECRET');
+  }
+
+  async function post(records) {
+    const body = JSON.stringify({ sessions: records });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-UTM-Timestamp': timestamp,
+        'X-UTM-Signature': `sha256=${sign(secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+
+  // Batches fail independently; the worker retries failed sessions later
+  async function write(docs) {
+    const written = new Map();
+    const failed = new Map();
+
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = docs.slice(i, i + BATCH_SIZE);
+      try {
+        await post(batch.map(toExportRecord));
+        batch.forEach(doc => written.set(doc.id, {}));
+      } catch (err) {
+        console.error('❌ Export webhook failed:', err.message);
+        batch.forEach(doc => failed.set(doc.id, err));
+      }
+    }
+
+    return { written, failed };
+  }
+
+  return { name: 'webhook', write };
+}
+
+module.exports = { createWebhookSink };
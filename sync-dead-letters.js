@@ -0,0 +1,98 @@
+// Sessions the export sync gave up on (`syncDeadLetters`, one document per
+// session). export-sync.js moves a session here after
+// SHEETS_SYNC_MAX_ATTEMPTS failed writes; the admin endpoints inspect, retry
+// or discard them.
+
+const admin = require('firebase-admin');
+
+const COLLECTION = 'syncDeadLetters';
+const MAX_SYNC_ATTEMPTS = Number(process.env.SHEETS_SYNC_MAX_ATTEMPTS || 5);
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function notFound(id) {
+  return Object.assign(new Error(`No dead-lettered sync for session ${id}`), { status: 404 });
+}
+
+function toJson(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    failedAt: data.failedAt?.toDate?.().toISOString() || null
+  };
+}
+
+function createDeadLetterStore(db) {
+  const deadLetters = db.collection(COLLECTION);
+  const clicksCollection = db.collection('utmClicks');
+
+  // Newest first; `after` is the id of the last item of the previous page
+  async function list({ limit = DEFAULT_LIMIT, after = null } = {}) {
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    let query = deadLetters.orderBy('failedAt', 'desc');
+
+    if (after) {
+      const cursor = await deadLetters.doc(after).get();
+      if (!cursor.exists) throw Object.assign(new Error(`Unknown cursor: ${after}`), { status: 400 });
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.limit(size).get();
+    return {
+      items: snapshot.docs.map(toJson),
+      next: snapshot.size === size ? snapshot.docs[snapshot.size - 1].id : null
+    };
+  }
+
+  async function get(id) {
+    const doc = await deadLetters.doc(id).get();
+    if (!doc.exists) throw notFound(id);
+    return toJson(doc);
+  }
+
+  async function count() {
+    const snapshot = await deadLetters.count().get();
+    return snapshot.data().count;
+  }
+
+  // Puts the session back in the sync queue with a fresh attempt budget
+  async function retry(id) {
+    return db.runTransaction(async (transaction) => {
+      const deadLetterRef = deadLetters.doc(id);
+      const sessionRef = clicksCollection.doc(id);
+      const [deadLetter, session] = await Promise.all([transaction.get(deadLetterRef), transaction.get(sessionRef)]);
+      if (!deadLetter.exists) throw notFound(id);
+
+      transaction.delete(deadLetterRef);
+      if (!session.exists) return { id, status: 'session_missing' };
+
+      transaction.update(sessionRef, {
+        syncedToSheets: false,
+        syncStatus: 'retrying',
+        syncAttempts: admin.firestore.FieldValue.delete(),
+        nextAttemptAt: admin.firestore.FieldValue.delete(),
+        lastSyncError: admin.firestore.FieldValue.delete()
+      });
+      return { id, status: 'requeued' };
+    });
+  }
+
+  // Drops the record; the session stays out of the sync queue until it changes
+  async function discard(id) {
+    return db.runTransaction(async (transaction) => {
+      const deadLetterRef = deadLetters.doc(id);
+      const sessionRef = clicksCollection.doc(id);
+      const [deadLetter, session] = await Promise.all([transaction.get(deadLetterRef), transaction.get(sessionRef)]);
+      if (!deadLetter.exists) throw notFound(id);
+
+      transaction.delete(deadLetterRef);
+      if (session.exists) transaction.update(sessionRef, { syncStatus: 'discarded' });
+      return { id, status: 'discarded' };
+    });
+  }
+
+  return { list, get, count, retry, discard };
+}
+
+module.exports = { createDeadLetterStore, DEAD_LETTER_COLLECTION: COLLECTION, MAX_SYNC_ATTEMPTS };
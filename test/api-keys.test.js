@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createApiKeyStore } = require('../api-keys');
+
+// A route behind requireScope('reports:read') that echoes req.apiKey
+async function startApp(t) {
+  const db = new FakeFirestore();
+  const store = createApiKeyStore(db);
+  const app = express();
+  app.get('/reports', store.requireScope('reports:read'), (req, res) => {
+    res.status(200).json({ apiKey: req.apiKey });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = async (headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/reports`, { headers });
+    return { status: response.status, body: await response.json() };
+  };
+  return { db, store, get };
+}
+
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+test('a valid key with the scope sets req.apiKey', async (t) => {
+  const { store, get } = await startApp(t);
+  const { id, key } = await store.create({ name: 'dashboard', scopes: ['reports:read'] });
+
+  const response = await get(bearer(key));
+  assert.deepStrictEqual(response, { status: 200, body: { apiKey: { id, name: 'dashboard', scopes: ['reports:read'] } } });
+  assert.strictEqual((await get({ 'X-API-Key': key })).status, 200);
+});
+
+test('a missing key is a 401', async (t) => {
+  const { get } = await startApp(t);
+
+  assert.deepStrictEqual(await get(), { status: 401, body: { error: 'API key required' } });
+});
+
+test('a key with the wrong secret is a 401', async (t) => {
+  const { store, get } = await startApp(t);
+  const { key } = await store.create({ name: 'dashboard', scopes: ['reports:read'] });
+  // Same key ID, another well-formed secret
+  const forged = `${key.slice(0, 'utk_000000000000_'.length)}${'A'.repeat(32)}`;
+
+  assert.deepStrictEqual(await get(bearer(forged)), { status: 401, body: { error: 'Invalid API key' } });
+  assert.strictEqual((await get(bearer('not-a-key'))).status, 401);
+});
+
+test('a revoked key is a 401', async (t) => {
+  const { store, get } = await startApp(t);
+  const { id, key } = await store.create({ name: 'dashboard', scopes: ['reports:read'] });
+  assert.strictEqual((await get(bearer(key))).status, 200);
+
+  await store.revoke(id);
+
+  assert.deepStrictEqual(await get(bearer(key)), { status: 401, body: { error: 'Invalid API key' } });
+});
+
+test('an expired key is a 401', async (t) => {
+  const { db, store, get } = await startApp(t);
+  const { id, key } = await store.create({ name: 'dashboard', scopes: ['reports:read'], expiresAt: new Date(Date.now() + 60 * 1000) });
+  await db.collection('apiKeys').doc(id).update({ expiresAt: new Date(Date.now() - 1000) });
+
+  assert.deepStrictEqual(await get(bearer(key)), { status: 401, body: { error: 'Invalid API key' } });
+});
+
+test('a key without the scope is a 403', async (t) => {
+  const { store, get } = await startApp(t);
+  const { key } = await store.create({ name: 'sync', scopes: ['sync:run'] });
+
+  assert.deepStrictEqual(await get(bearer(key)), { status: 403, body: { error: 'API key lacks the reports:read scope' } });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreCandidates, selectAttribution } = require('../attribution');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000);
+
+function click(id, data) {
+  return { id, data: { source: 'facebook', medium: 'paid_social', campaign: 'spring', device_type: 'mobile', ...data } };
+}
+
+test('a click carrying the sender\'s phone number outranks a more recent click', () => {
+  const ranked = scoreCandidates([
+    click('recent', { click_time: minutesAgo(0.5), campaign: 'summer' }),
+    click('known', { click_time: minutesAgo(4), phoneNumber: '919812345678' })
+  ], { phone: '919812345678', now: NOW });
+
+  assert.strictEqual(ranked[0].id, 'known');
+  assert.strictEqual(ranked[0].signals.phone, 1);
+  const { winner } = selectAttribution(ranked);
+  assert.strictEqual(winner.id, 'known');
+});
+
+test('two near-identical clicks are both left unattributed', () => {
+  const ranked = scoreCandidates([
+    click('first', { click_time: minutesAgo(1) }),
+    click('second', { click_time: minutesAgo(1.2) })
+  ], { phone: '919812345678', now: NOW });
+
+  const result = selectAttribution(ranked);
+  assert.strictEqual(result.winner, null);
+  assert.strictEqual(result.best.sessionId, 'first');
+  assert.deepStrictEqual(result.runnersUp.map(candidate => candidate.sessionId), ['second']);
+});
+
+test('a desktop click scores lower than the same click from a phone', () => {
+  const [mobile] = scoreCandidates([click('mobile', { click_time: minutesAgo(1) })], { now: NOW });
+  const [desktop] = scoreCandidates([click('desktop', { click_time: minutesAgo(1), device_type: 'desktop' })], { now: NOW });
+
+  assert.ok(mobile.score > desktop.score);
+});
+
+test('a lone click minutes old without a phone match is not attributed', () => {
+  const ranked = scoreCandidates([click('stranger', { click_time: minutesAgo(4), device_type: undefined })], { phone: '919812345678', now: NOW });
+
+  const result = selectAttribution(ranked);
+  // Would clear the pool threshold on its own
+  assert.ok(result.confidence >= 0.35);
+  assert.strictEqual(result.winner, null);
+  assert.strictEqual(result.best.sessionId, 'stranger');
+});
+
+test('a lone click made right before the message is attributed', () => {
+  const ranked = scoreCandidates([click('visitor', { click_time: minutesAgo(0.5) })], { phone: '919812345678', now: NOW });
+
+  assert.strictEqual(selectAttribution(ranked).winner.id, 'visitor');
+});
+
+test('a lone older click is attributed when the phone number matches', () => {
+  const ranked = scoreCandidates([click('known', { click_time: minutesAgo(4), phoneNumber: '919812345678' })], { phone: '919812345678', now: NOW });
+
+  assert.strictEqual(selectAttribution(ranked).winner.id, 'known');
+});
+
+test('a lone older click is attributed when the contact ID matches', () => {
+  const ranked = scoreCandidates([click('known', { click_time: minutesAgo(4), contactId: 'contact-1' })], { contactId: 'contact-1', now: NOW });
+
+  assert.strictEqual(selectAttribution(ranked).winner.id, 'known');
+});
+
+test('an empty pool has no winner', () => {
+  assert.deepStrictEqual(selectAttribution([]), { winner: null, confidence: 0, best: null, runnersUp: [] });
+});
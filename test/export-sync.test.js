@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SHEETS_BACKEND = 'fake';
+process.env.SHEETS_SPREADSHEET_ID = 'sync-spreadsheet';
+
+const { FakeFirestore, Timestamp } = require('./support/fake-firestore');
+const { createExportSync } = require('../export-sync');
+const { createSheetsSink } = require('../sinks/sheets');
+const { fakeSheetsClient } = require('../fake-sheets');
+
+const channelRegistry = { findByBrand: async () => null };
+
+// A sink that fails every write and counts the calls
+function failingSink() {
+  const sink = {
+    name: 'webhook',
+    calls: 0,
+    write: async (docs) => {
+      sink.calls++;
+      return { written: new Map(), failed: new Map(docs.map(doc => [doc.id, new Error('503 Service Unavailable')])) };
+    }
+  };
+  return sink;
+}
+
+async function queue(db, id, data = {}) {
+  await db.collection('utmClicks').doc(id).set({
+    hasEngaged: true, syncedToSheets: false, source: 'google', medium: 'cpc', campaign: 'spring',
+    phoneNumber: '919812345678', ...data
+  }, { merge: true });
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('exports queued sessions to Sheets and rewrites their rows after a change', async () => {
+  const db = new FakeFirestore();
+  const sync = createExportSync({ db, sinks: [createSheetsSink({ db, channelRegistry })] });
+  await queue(db, 's1');
+  await queue(db, 's2', { campaign: 'summer' });
+
+  const first = await sync.runExportSync();
+  assert.strictEqual(first.count, 2);
+
+  const rows = fakeSheetsClient.rows('sync-spreadsheet');
+  const headers = rows[0];
+  assert.deepStrictEqual(rows.slice(1).map(row => row[headers.indexOf('Session ID')]), ['s1', 's2']);
+  const stored = db.dump('utmClicks');
+  assert.strictEqual(stored.s1.syncedToSheets, true);
+  assert.strictEqual(stored.s2.sinks.sheets.status, 'synced');
+
+  await queue(db, 's2', { campaign: 'autumn' });
+  const second = await sync.runExportSync();
+  assert.strictEqual(second.count, 1);
+
+  const after = fakeSheetsClient.rows('sync-spreadsheet');
+  assert.strictEqual(after.length, 3);
+  assert.strictEqual(after[2][headers.indexOf('UTM Campaign')], 'autumn');
+});
+
+test('a failed pass counts one attempt and holds the session back', async () => {
+  const db = new FakeFirestore();
+  const sink = failingSink();
+  const sync = createExportSync({ db, sinks: [sink] });
+  await queue(db, 's1');
+
+  const result = await sync.runExportSync();
+  assert.strictEqual(result.failed, 1);
+  assert.ok(result.retryAt > Date.now());
+
+  let session = db.dump('utmClicks').s1;
+  assert.strictEqual(session.syncAttempts, 1);
+  assert.strictEqual(session.syncedToSheets, false);
+  assert.match(session.lastSyncError, /webhook: 503/);
+
+  // Not due yet: the next pass leaves it alone
+  await sync.runExportSync();
+  assert.strictEqual(sink.calls, 1);
+  assert.strictEqual(db.dump('utmClicks').s1.syncAttempts, 1);
+
+  // Once due it is tried again, and the delay doubles
+  await db.collection('utmClicks').doc('s1').update({ nextAttemptAt: Timestamp.fromMillis(Date.now() - 1000) });
+  const before = Date.now();
+  await sync.runExportSync();
+  session = db.dump('utmClicks').s1;
+  assert.strictEqual(session.syncAttempts, 2);
+  assert.ok(session.nextAttemptAt.toMillis() - before >= 2 * 60 * 1000 - 1000);
+});
+
+test('the listener is not woken by the worker\'s own writes', async () => {
+  const db = new FakeFirestore();
+  const sink = failingSink();
+  const sync = createExportSync({ db, sinks: [sink] });
+  const stop = await sync.setupRealtimeSync();
+  try {
+    await queue(db, 's1');
+    await settle();
+    assert.strictEqual(sink.calls, 1);
+    assert.strictEqual(db.dump('utmClicks').s1.syncAttempts, 1);
+
+    // A content change wakes it; the session is still waiting out its delay
+    await queue(db, 's2');
+    await settle();
+    assert.strictEqual(sink.calls, 2);
+    assert.strictEqual(db.dump('utmClicks').s1.syncAttempts, 1);
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createMetaCapiExporter } = require('../meta-capi');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Local Conversions API endpoint answering every request with `reply`
+async function startStubEndpoint(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const { status, json } = reply(requests.length);
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.META_CAPI_ENDPOINT = `http://127.0.0.1:${server.address().port}/events`;
+  return { requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function seed(db) {
+  const clickTime = new Date(Date.now() - 60 * 60 * 1000);
+  await db.collection('utmClicks').doc('session-1').set({
+    hasEngaged: true,
+    engagedAt: new Date(Date.now() - 30 * 60 * 1000),
+    click_time: clickTime,
+    phoneNumber: '+91 98123 45678',
+    contactId: 'contact-1',
+    fbclid: 'fb-click-1',
+    source: 'facebook',
+    medium: 'paid_social',
+    campaign: 'spring',
+    content: 'video'
+  });
+  // Unattributed conversations are never sent
+  await db.collection('utmClicks').doc('direct-1').set({
+    hasEngaged: true,
+    engagedAt: new Date(),
+    source: 'direct_message'
+  });
+  await db.collection('conversions').doc('conversion-1').set({
+    event: 'Purchase',
+    value: 1200,
+    currency: 'INR',
+    occurredAt: new Date(Date.now() - 10 * 60 * 1000),
+    sessionId: 'session-1',
+    phoneNumber: '919812345678',
+    campaign: 'spring'
+  });
+  return clickTime;
+}
+
+test('sends leads and conversions with hashed user data and records the result', async (t) => {
+  const endpoint = await startStubEndpoint(() => ({ status: 200, json: { events_received: 2, fbtrace_id: 'trace-1' } }));
+  t.after(endpoint.close);
+  const db = new FakeFirestore();
+  const clickTime = await seed(db);
+  const exporter = createMetaCapiExporter(db, { getAccessToken: async () => 'token-1' });
+
+  const result = await exporter.exportEvents();
+
+  assert.deepStrictEqual(result, { pending: 2, sent: 2, failed: 0, errors: [] });
+  assert.strictEqual(endpoint.requests.length, 1);
+  const [request] = endpoint.requests;
+  assert.strictEqual(request.access_token, 'token-1');
+
+  const lead = request.data.find(event => event.event_name === 'Lead');
+  assert.strictEqual(lead.event_id, 'session-1-lead');
+  assert.strictEqual(lead.action_source, 'chat');
+  assert.deepStrictEqual(lead.user_data, {
+    ph: [sha256('919812345678')],
+    external_id: [sha256('contact-1')],
+    fbc: `fb.1.${clickTime.getTime()}.fb-click-1`
+  });
+  assert.deepStrictEqual(lead.custom_data, {
+    utm_source: 'facebook', utm_medium: 'paid_social', utm_campaign: 'spring', utm_content: 'video'
+  });
+
+  const purchase = request.data.find(event => event.event_name === 'Purchase');
+  assert.strictEqual(purchase.event_id, 'conversion-conversion-1');
+  assert.deepStrictEqual(purchase.custom_data, { value: 1200, currency: 'INR', utm_campaign: 'spring' });
+  assert.strictEqual(purchase.user_data.fbc, lead.user_data.fbc);
+
+  const session = db.dump('utmClicks')['session-1'];
+  assert.strictEqual(session.metaCapi.lead.status, 'sent');
+  assert.strictEqual(session.metaCapi.lead.fbtraceId, 'trace-1');
+  assert.strictEqual(db.dump('conversions')['conversion-1'].metaCapi.status, 'sent');
+
+  // Sent events are not sent again
+  const again = await exporter.exportEvents();
+  assert.strictEqual(again.pending, 0);
+  assert.strictEqual(endpoint.requests.length, 1);
+});
+
+test('does not retry a rejected batch and keeps it pending', async (t) => {
+  const endpoint = await startStubEndpoint(() => ({ status: 400, json: { error: { message: 'Invalid parameter' } } }));
+  t.after(endpoint.close);
+  const db = new FakeFirestore();
+  await seed(db);
+  const exporter = createMetaCapiExporter(db, { getAccessToken: async () => 'token-1' });
+
+  const result = await exporter.exportEvents();
+
+  assert.strictEqual(result.failed, 2);
+  assert.deepStrictEqual(result.errors, ['Invalid parameter']);
+  assert.strictEqual(endpoint.requests.length, 1);
+  const lead = db.dump('utmClicks')['session-1'].metaCapi.lead;
+  assert.strictEqual(lead.status, 'failed');
+  assert.strictEqual(lead.error, 'Invalid parameter');
+  assert.strictEqual((await exporter.exportEvents({ dryRun: true })).pending, 2);
+});
+
+test('a dry run lists the events without calling the endpoint', async () => {
+  const db = new FakeFirestore();
+  await seed(db);
+  const exporter = createMetaCapiExporter(db, { getAccessToken: async () => { throw new Error('not needed'); } });
+
+  const result = await exporter.exportEvents({ dryRun: true });
+
+  assert.strictEqual(result.pending, 2);
+  assert.deepStrictEqual(result.events.map(event => event.event_name).sort(), ['Lead', 'Purchase']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createNotifier } = require('../notifications');
+
+// Local incoming webhook collecting the posted bodies
+async function startStubWebhook(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(200).end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+const LEAD = {
+  brand: 'clinic',
+  contactName: '<!channel> Bob & co',
+  phone: '919812345678',
+  source: 'google',
+  medium: 'cpc',
+  campaign: '<https://evil.example|spring>',
+  message: 'hi @here, see <https://evil.example>'
+};
+
+test('escapes lead values in Slack alerts', async (t) => {
+  const { requests, url } = await startStubWebhook(t);
+  const db = new FakeFirestore();
+  await db.collection('notificationRules').doc('sales').set({ destination: { type: 'slack', url }, throttleMinutes: 0 });
+
+  const [result] = await createNotifier(db).notifyLead(LEAD);
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(requests[0].text,
+    'New lead for clinic: &lt;!channel&gt; Bob &amp; co (919812345678)\n' +
+    'Source: google / cpc / &lt;https://evil.example|spring&gt;\n' +
+    '> hi @\u200bhere, see &lt;https://evil.example&gt;');
+});
+
+test('leaves lead values as they are for other destinations', async (t) => {
+  const { requests, url } = await startStubWebhook(t);
+  const db = new FakeFirestore();
+  await db.collection('notificationRules').doc('crm').set({
+    destination: { type: 'webhook', url }, template: '{{contactName}}: {{message}}', throttleMinutes: 0
+  });
+
+  await createNotifier(db).notifyLead(LEAD);
+
+  assert.strictEqual(requests[0].text, `${LEAD.contactName}: ${LEAD.message}`);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.SHEETS_BACKEND = 'fake';
+process.env.SHEETS_SPREADSHEET_ID = 'privacy-spreadsheet';
+
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createChannelRegistry } = require('../channel-registry');
+const { createPrivacyService } = require('../privacy');
+const { createSheetsSink } = require('../sinks/sheets');
+const { createFileSink } = require('../sinks/file');
+const { fakeSheetsClient } = require('../fake-sheets');
+
+async function setup(channels = [{ number: '911111111111', brand: 'clinic', countryCode: '91' }], sinks = [], getSubjectKey) {
+  const db = new FakeFirestore();
+  for (const { number, ...channel } of channels) {
+    await db.collection('channels').doc(number).set(channel);
+  }
+  return { db, channelRegistry: createChannelRegistry(db), privacy: createPrivacyService(db, { sinks, getSubjectKey }) };
+}
+
+test('a local-format number is normalized like a sender\'s and erased', async () => {
+  const { db, channelRegistry, privacy } = await setup();
+  await db.collection('utmClicks').doc('s1').set({
+    source: 'google', phoneNumber: '919812345678', contactName: 'Asha', syncedToSheets: true
+  });
+
+  const phone = await channelRegistry.normalizeContactPhone('0981-234-5678');
+  assert.strictEqual(phone, '919812345678');
+
+  const result = await privacy.eraseContact(phone, { actor: 'test' });
+  assert.strictEqual(result.sessionsAnonymized, 1);
+  const session = db.dump('utmClicks').s1;
+  assert.strictEqual(session.phoneNumber, undefined);
+  assert.strictEqual(session.syncedToSheets, false);
+  assert.strictEqual(Object.keys(db.dump('auditLog')).length, 1);
+});
+
+test('the erasure audit entry keys the phone hash with a secret', async () => {
+  const { db, privacy } = await setup(undefined, [], async () => 'audit-key');
+  await db.collection('utmClicks').doc('s1').set({ source: 'google', phoneNumber: '919812345678' });
+
+  await privacy.eraseContact('919812345678', { actor: 'test' });
+
+  const [entry] = Object.values(db.dump('auditLog'));
+  assert.strictEqual(entry.subjectHash, crypto.createHmac('sha256', 'audit-key').update('919812345678').digest('hex'));
+  assert.notStrictEqual(entry.subjectHash, crypto.createHash('sha256').update('919812345678').digest('hex'));
+});
+
+test('without the subject key the erasure is audited without the number', async () => {
+  const { db, privacy } = await setup(undefined, [], async () => { throw new Error('Secret audit-subject-key not found'); });
+  await db.collection('utmClicks').doc('s1').set({ source: 'google', phoneNumber: '919812345678' });
+
+  await privacy.eraseContact('919812345678', { actor: 'test' });
+
+  const [entry] = Object.values(db.dump('auditLog'));
+  assert.strictEqual(entry.action, 'contact.erase');
+  assert.strictEqual(entry.subjectHash, null);
+});
+
+test('a local number needs a country code when the channels use several', async () => {
+  const { channelRegistry } = await setup([
+    { number: '911111111111', brand: 'clinic', countryCode: '91' },
+    { number: '971500000000', brand: 'salon', countryCode: '971' }
+  ]);
+
+  assert.strictEqual(await channelRegistry.normalizeContactPhone('9812345678'), null);
+  assert.strictEqual(await channelRegistry.normalizeContactPhone('9812345678', '+971'), '9719812345678');
+  assert.strictEqual(await channelRegistry.normalizeContactPhone('+971 50 123 4567'), '971501234567');
+});
+
+test('throttles of leads without a conversation are erased by phone number', async () => {
+  const { db, privacy } = await setup();
+  const throttles = db.collection('notificationThrottle');
+  await throttles.doc('sales:919812345678').set({ rule: 'sales', conversationId: null, phone: '919812345678', sentAt: new Date() });
+  await throttles.doc('sales:conversation-2').set({ rule: 'sales', conversationId: 'conversation-2', phone: '919800000000', sentAt: new Date() });
+
+  await privacy.eraseContact('919812345678', { actor: 'test' });
+
+  assert.deepStrictEqual(Object.keys(db.dump('notificationThrottle')), ['sales:conversation-2']);
+});
+
+test('erasing a number with no records is a 404 and is not audited', async () => {
+  const { db, privacy } = await setup();
+
+  await assert.rejects(privacy.eraseContact('919800000000', { actor: 'test' }), { status: 404 });
+  assert.deepStrictEqual(db.dump('auditLog'), {});
+});
+
+test('sheet rows of direct messages and rows without a session are cleared', async () => {
+  const channelRegistry = { getChannels: async () => [], findByBrand: async () => null };
+  const sink = createSheetsSink({ channelRegistry });
+  const { db, privacy } = await setup(undefined, [sink]);
+
+  // A direct-message row, and an older row from before the Session ID column
+  const headers = ['Timestamp', 'Phone Number', 'UTM Source', 'Contact Name', 'Last Message', 'Session ID'];
+  await fakeSheetsClient.spreadsheets.values.update({
+    spreadsheetId: 'privacy-spreadsheet',
+    range: "'Sheet1'!A1",
+    resource: {
+      values: [
+        headers,
+        ['2026-01-01', '919812345678', 'direct_message', 'Asha', 'Hello', 'direct-abc'],
+        ['2025-06-01', '+91 98123 45678', 'google', 'Asha', 'Price?', ''],
+        ['2026-01-02', '919800000000', 'google', 'Ravi', 'Hi', 's2']
+      ]
+    }
+  });
+  await db.collection('utmClicks').doc('direct-abc').set({ source: 'direct_message', phoneNumber: '919812345678' });
+
+  const result = await privacy.eraseContact('919812345678', { actor: 'test' });
+  assert.deepStrictEqual(result.sinkRowsErased, { sheets: 2 });
+  assert.strictEqual(result.directRecordsDeleted, 1);
+
+  const rows = fakeSheetsClient.rows('privacy-spreadsheet');
+  const column = (header) => rows.map(row => row[headers.indexOf(header)]);
+  assert.deepStrictEqual(column('Phone Number'), ['Phone Number', 'N/A', 'N/A', '919800000000']);
+  assert.deepStrictEqual(column('Contact Name'), ['Contact Name', 'Anonymous', 'Anonymous', 'Ravi']);
+  assert.deepStrictEqual(column('UTM Source'), ['UTM Source', 'direct_message', 'google', 'google']);
+});
+
+test('a failing sink leaves the contact\'s records in place', async () => {
+  const sink = { name: 'sheets', erase: async () => { throw new Error('503 Service Unavailable'); } };
+  const { db, privacy } = await setup(undefined, [sink]);
+  await db.collection('utmClicks').doc('s1').set({ source: 'google', phoneNumber: '919812345678' });
+
+  await assert.rejects(privacy.eraseContact('919812345678', { actor: 'test' }), { status: 502 });
+  assert.strictEqual(db.dump('utmClicks').s1.phoneNumber, '919812345678');
+  assert.deepStrictEqual(db.dump('auditLog'), {});
+});
+
+test('the file sink rewrites its log without the contact\'s fields', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-sink-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { db } = await setup();
+  const clicks = db.collection('utmClicks');
+  await clicks.doc('s1').set({ source: 'google', phoneNumber: '919812345678', contactName: 'Asha', lastMessage: 'Hi, "price", please\nthanks' });
+  await clicks.doc('s2').set({ source: 'google', phoneNumber: '919800000000', contactName: 'Ravi' });
+  const docs = [await clicks.doc('s1').get(), await clicks.doc('s2').get()];
+
+  for (const format of ['csv', 'ndjson']) {
+    process.env.EXPORT_FILE_PATH = path.join(dir, `sessions.${format}`);
+    const sink = createFileSink();
+    await sink.write(docs);
+
+    const erased = await sink.erase({ phone: '919812345678', sessionIds: [], fields: ['phoneNumber', 'contactName', 'lastMessage'] });
+    assert.strictEqual(erased, 1);
+
+    const text = fs.readFileSync(process.env.EXPORT_FILE_PATH, 'utf8');
+    assert.doesNotMatch(text, /Asha|919812345678|price/);
+    assert.match(text, /Ravi/);
+    assert.strictEqual(text.split('\n').filter(Boolean).length, format === 'csv' ? 3 : 2);
+  }
+  delete process.env.EXPORT_FILE_PATH;
+});
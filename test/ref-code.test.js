@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createRefCodeStore, extractRefCode, formatRefCode, stripRefCode } = require('../ref-code');
+
+test('reads a code back from a retyped message', () => {
+  assert.strictEqual(extractRefCode(`Hi, I'd like to know more. ${formatRefCode('K7Q2M')}`), 'K7Q2M');
+  assert.strictEqual(extractRefCode('hello (ref # k7q2m)'), 'K7Q2M');
+  assert.strictEqual(extractRefCode('no code here'), null);
+  assert.strictEqual(stripRefCode('Hi Ref #K7Q2M'), 'Hi');
+});
+
+test('reserves each code for one session', async () => {
+  const db = new FakeFirestore();
+  const store = createRefCodeStore(db);
+
+  const codes = await Promise.all(['s1', 's2', 's3'].map(sessionId => store.reserve(sessionId)));
+
+  assert.strictEqual(new Set(codes).size, 3);
+  const reserved = db.dump('refCodes');
+  assert.deepStrictEqual(codes.map(code => reserved[code].sessionId), ['s1', 's2', 's3']);
+});
+
+test('draws another code when one is taken', async () => {
+  const db = new FakeFirestore();
+  const collection = db.collection.bind(db);
+  let conflicts = 2;
+  // The first reservations lose the race to another instance
+  db.collection = (path) => {
+    const ref = collection(path);
+    if (path !== 'refCodes') return ref;
+    return {
+      doc: (id) => {
+        const doc = ref.doc(id);
+        const create = doc.create.bind(doc);
+        doc.create = async (data) => {
+          if (conflicts-- > 0) await create({ sessionId: 'other' });
+          return create(data);
+        };
+        return doc;
+      }
+    };
+  };
+
+  const code = await createRefCodeStore(db).reserve('s1');
+
+  assert.strictEqual(db.dump('refCodes')[code].sessionId, 's1');
+  assert.strictEqual(Object.keys(db.dump('refCodes')).length, 3);
+});
+
+test('skips codes already stored on clicks before reservations existed', async () => {
+  const db = new FakeFirestore();
+  const collection = db.collection.bind(db);
+  let legacyHits = 1;
+  // The first code drawn is already on an old click
+  db.collection = (path) => {
+    const ref = collection(path);
+    if (path === 'utmClicks') {
+      ref.where = () => ({ limit: () => ({ get: async () => ({ empty: legacyHits-- <= 0 }) }) });
+    }
+    return ref;
+  };
+
+  const code = await createRefCodeStore(db).reserve('s1');
+
+  assert.strictEqual(db.dump('refCodes')[code].sessionId, 's1');
+  // The legacy code stays reserved
+  assert.strictEqual(Object.keys(db.dump('refCodes')).length, 2);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSecretProvider } = require('../secret-provider');
+const metrics = require('../metrics');
+
+const TTL_MS = 60 * 1000;
+
+// Secret Manager stand-in; `fail` makes lookups throw
+function fakeSecretClient(values) {
+  const client = {
+    calls: 0,
+    fail: false,
+    async accessSecretVersion({ name }) {
+      client.calls++;
+      if (client.fail) throw new Error('14 UNAVAILABLE');
+      const secret = name.split('/')[3];
+      if (!(secret in values)) throw new Error(`5 NOT_FOUND: ${secret}`);
+      return [{ payload: { data: Buffer.from(values[secret]) } }];
+    }
+  };
+  return client;
+}
+
+// A secrets directory, a provider over it and a clock that can be moved forward
+function setup(t, { values = {}, files = {} } = {}) {
+  const secretsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+  Object.entries(files).forEach(([name, value]) => fs.writeFileSync(path.join(secretsDir, name), value));
+  const secretClient = fakeSecretClient(values);
+  const provider = createSecretProvider({ ttlMs: TTL_MS, secretsDir, projectId: 'test-project', secretClient });
+
+  const now = Date.now;
+  let offset = 0;
+  Date.now = () => now() + offset;
+  t.after(() => {
+    Date.now = now;
+    provider.stop();
+    fs.rmSync(secretsDir, { recursive: true, force: true });
+  });
+
+  return {
+    provider,
+    secretClient,
+    writeFile: (name, value) => fs.writeFileSync(path.join(secretsDir, name), value),
+    removeFile: (name) => fs.rmSync(path.join(secretsDir, name)),
+    advance: (ms) => { offset += ms; }
+  };
+}
+
+test('the environment wins over files, and files over Secret Manager', async (t) => {
+  const { provider, removeFile } = setup(t, {
+    values: { 'api-token': 'from-manager' },
+    files: { 'api-token': 'from-file\n' }
+  });
+  process.env.SECRET_API_TOKEN = 'from-env';
+  t.after(() => delete process.env.SECRET_API_TOKEN);
+
+  assert.strictEqual(await provider.get('api-token'), 'from-env');
+
+  delete process.env.SECRET_API_TOKEN;
+  provider.invalidate('api-token');
+  assert.strictEqual(await provider.get('api-token'), 'from-file');
+
+  removeFile('api-token');
+  provider.invalidate('api-token');
+  assert.strictEqual(await provider.get('api-token'), 'from-manager');
+});
+
+test('values are cached until the TTL runs out', async (t) => {
+  const { provider, writeFile, advance } = setup(t, { files: { 'api-token': 'one' } });
+
+  assert.strictEqual(await provider.get('api-token'), 'one');
+  writeFile('api-token', 'two');
+  assert.strictEqual(await provider.get('api-token'), 'one');
+
+  advance(TTL_MS);
+  assert.strictEqual(await provider.get('api-token'), 'two');
+});
+
+test('a failed refresh keeps the last good value and holds off retrying', async (t) => {
+  const { provider, secretClient, advance } = setup(t, { values: { 'meta-token': 'good' } });
+
+  assert.strictEqual(await provider.get('meta-token'), 'good');
+  assert.strictEqual(secretClient.calls, 1);
+
+  secretClient.fail = true;
+  advance(TTL_MS);
+  assert.strictEqual(await provider.get('meta-token'), 'good');
+  assert.strictEqual(secretClient.calls, 2);
+  assert.match(metrics.render(), /^secret_refresh_failures_total\{secret="meta-token"\} 1$/m);
+
+  // Within the hold-off the cached value is served without another lookup
+  advance(29 * 1000);
+  assert.strictEqual(await provider.get('meta-token'), 'good');
+  assert.strictEqual(secretClient.calls, 2);
+
+  advance(1000);
+  secretClient.fail = false;
+  assert.strictEqual(await provider.get('meta-token'), 'good');
+  assert.strictEqual(secretClient.calls, 3);
+});
+
+test('a secret that was never loaded fails the lookup', async (t) => {
+  const { provider, secretClient } = setup(t);
+  secretClient.fail = true;
+
+  await assert.rejects(provider.get('missing'), /UNAVAILABLE/);
+});
+
+test('invalidate makes the next lookup fetch again', async (t) => {
+  const { provider, writeFile } = setup(t, { files: { 'api-token': 'one', 'other-token': 'a' } });
+  await provider.get('api-token');
+  await provider.get('other-token');
+  writeFile('api-token', 'two');
+  writeFile('other-token', 'b');
+
+  assert.deepStrictEqual(provider.invalidate('api-token'), ['api-token']);
+  assert.strictEqual(await provider.get('api-token'), 'two');
+  assert.strictEqual(await provider.get('other-token'), 'a');
+
+  assert.deepStrictEqual(provider.invalidate().sort(), ['api-token', 'other-token']);
+  assert.strictEqual(await provider.get('other-token'), 'b');
+  assert.deepStrictEqual(provider.invalidate('unknown'), []);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { FakeFirestore, Timestamp } = require('./support/fake-firestore');
+const { parseExportQuery, streamSessions } = require('../session-export');
+
+// The export route over a collection of `count` sessions, one second apart
+async function startApp(t, count) {
+  const db = new FakeFirestore();
+  const clicks = db.collection('utmClicks');
+  for (let i = 0; i < count; i++) {
+    const timestamp = Timestamp.fromMillis(Date.UTC(2026, 0, 1) + i * 1000);
+    await clicks.doc(`session-${i}`).set({ timestamp, click_time: timestamp, source: 'facebook', brand: 'clinic' });
+  }
+
+  const app = express();
+  app.get('/exports/sessions', async (req, res) => {
+    await streamSessions(clicks, res, {}, parseExportQuery(req.query));
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return async (query) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/exports/sessions?${new URLSearchParams(query)}`);
+    const lines = (await response.text()).split('\n').filter(Boolean);
+    return { cursor: response.headers.get('x-next-cursor'), ids: lines.map(line => JSON.parse(line).session_id) };
+  };
+}
+
+test('pages a limited export with the X-Next-Cursor header', async (t) => {
+  const get = await startApp(t, 5);
+
+  const first = await get({ format: 'ndjson', limit: 2 });
+  assert.deepStrictEqual(first.ids, ['session-0', 'session-1']);
+  assert.ok(first.cursor);
+
+  const second = await get({ format: 'ndjson', limit: 2, cursor: first.cursor });
+  assert.deepStrictEqual(second.ids, ['session-2', 'session-3']);
+
+  const last = await get({ format: 'ndjson', limit: 2, cursor: second.cursor });
+  assert.deepStrictEqual(last.ids, ['session-4']);
+  assert.strictEqual(last.cursor, null);
+});
+
+test('streams an unlimited export without a cursor', async (t) => {
+  const get = await startApp(t, 3);
+
+  const all = await get({ format: 'ndjson' });
+  assert.deepStrictEqual(all.ids, ['session-0', 'session-1', 'session-2']);
+  assert.strictEqual(all.cursor, null);
+});
+
+test('rejects limits above the buffered page size', () => {
+  assert.throws(() => parseExportQuery({ limit: '5001' }), { status: 400 });
+});
+
+test('a failing first query is answered with a JSON error, not a file', async (t) => {
+  // A query Firestore refuses, as it does without the composite index
+  const failing = {
+    orderBy() { return this; },
+    where() { return this; },
+    limit() { return this; },
+    get: async () => { throw new Error('9 FAILED_PRECONDITION: The query requires an index') }
+  };
+  const app = express();
+  app.get('/exports/sessions', async (req, res) => {
+    try {
+      await streamSessions(failing, res, {}, parseExportQuery(req.query));
+    } catch (err) {
+      res.status(500).json({ error: 'Export failed' });
+    }
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/exports/sessions?format=csv`);
+  assert.strictEqual(response.status, 500);
+  assert.match(response.headers.get('content-type'), /^application\/json/);
+  assert.strictEqual(response.headers.get('content-disposition'), null);
+  assert.deepStrictEqual(await response.json(), { error: 'Export failed' });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SHEETS_BACKEND = 'fake';
+process.env.SHEETS_SPREADSHEET_ID = 'default-spreadsheet';
+
+const { createSheetsSink } = require('../sinks/sheets');
+const { fakeSheetsClient } = require('../fake-sheets');
+
+const channelRegistry = {
+  findByBrand: async (brand) => (brand === 'clinic' ? { spreadsheetId: 'clinic-spreadsheet', sheetName: "Clinic's Leads" } : null)
+};
+
+function session(id, data) {
+  return { id, data: () => ({ hasEngaged: true, phoneNumber: '919812345678', source: 'google', medium: 'cpc', campaign: 'spring', ...data }) };
+}
+
+test('writes new sessions as rows and updates them in place', async () => {
+  const sink = createSheetsSink({ channelRegistry });
+
+  const first = await sink.write([session('s1', {}), session('s2', { campaign: 'summer' })]);
+  assert.deepStrictEqual([...first.written.keys()], ['s1', 's2']);
+  assert.strictEqual(first.failed.size, 0);
+  assert.deepStrictEqual(first.written.get('s2').sheetRow, { spreadsheetId: 'default-spreadsheet', sheetName: 'Sheet1', row: 3 });
+
+  const rows = fakeSheetsClient.rows('default-spreadsheet');
+  const headers = rows[0];
+  const cell = (row, header) => rows[row - 1][headers.indexOf(header)];
+  assert.strictEqual(cell(2, 'Session ID'), 's1');
+  assert.strictEqual(cell(3, 'UTM Campaign'), 'summer');
+  assert.strictEqual(cell(2, 'Engaged'), '✅ YES');
+
+  // A changed session rewrites its row; a new one is appended after the others
+  const second = await sink.write([session('s2', { campaign: 'autumn' }), session('s3', {})]);
+  assert.strictEqual(second.written.get('s2').sheetRow.row, 3);
+  assert.strictEqual(second.written.get('s3').sheetRow.row, 4);
+
+  const after = fakeSheetsClient.rows('default-spreadsheet');
+  assert.strictEqual(after.length, 4);
+  assert.strictEqual(after[2][headers.indexOf('UTM Campaign')], 'autumn');
+  assert.strictEqual(after[3][headers.indexOf('Session ID')], 's3');
+});
+
+test('routes sessions to the spreadsheet of their brand', async () => {
+  const sink = createSheetsSink({ channelRegistry });
+
+  const result = await sink.write([session('c1', { brand: 'clinic' })]);
+
+  assert.deepStrictEqual(result.written.get('c1').sheetRow, { spreadsheetId: 'clinic-spreadsheet', sheetName: "Clinic's Leads", row: 2 });
+  const rows = fakeSheetsClient.rows('clinic-spreadsheet', "Clinic's Leads");
+  assert.strictEqual(rows[1][rows[0].indexOf('Session ID')], 'c1');
+  assert.ok(fakeSheetsClient.appended.some(append => append.spreadsheetId === 'clinic-spreadsheet'));
+});
+
+test('ignores a stored row that now holds another session', async () => {
+  const sink = createSheetsSink({ channelRegistry });
+  await sink.write([session('m1', {}), session('m2', {})].map(doc => ({ ...doc, data: () => ({ ...doc.data(), brand: 'moved' }) })));
+
+  // Stale stored rows are ignored; the Session ID column is searched instead
+  const stale = session('m2', { brand: 'moved', campaign: 'winter', sinks: { sheets: { sheetRow: { spreadsheetId: 'default-spreadsheet', sheetName: 'Sheet1', row: 2 } } } });
+  const result = await sink.write([stale]);
+
+  const rows = fakeSheetsClient.rows('default-spreadsheet');
+  const row = result.written.get('m2').sheetRow.row;
+  assert.strictEqual(rows[row - 1][rows[0].indexOf('Session ID')], 'm2');
+  assert.strictEqual(rows[row - 1][rows[0].indexOf('UTM Campaign')], 'winter');
+});
+
+test('shows the Meta names of clicks stored before UTM normalization', async () => {
+  const sink = createSheetsSink({ channelRegistry });
+  const legacy = session('legacy-1', {
+    brand: 'legacy',
+    source: 'facebook',
+    medium: 'fb_ads',
+    campaign: 'unknown',
+    content: 'unknown',
+    placement: 'unknown',
+    original_params: { 'Campaign Name': 'Diwali Offer', AdName: 'Carousel 2' }
+  });
+
+  const result = await sink.write([legacy, session('current-1', { brand: 'legacy', campaign: 'unknown' })]);
+
+  const rows = fakeSheetsClient.rows('default-spreadsheet');
+  const cell = (id, header) => rows[result.written.get(id).sheetRow.row - 1][rows[0].indexOf(header)];
+  assert.strictEqual(cell('legacy-1', 'UTM Campaign'), 'Diwali Offer');
+  assert.strictEqual(cell('legacy-1', 'UTM Content'), 'Carousel 2');
+  assert.strictEqual(cell('legacy-1', 'Placement'), 'unknown');
+  assert.strictEqual(cell('current-1', 'UTM Campaign'), 'unknown');
+});
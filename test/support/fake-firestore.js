@@ -0,0 +1,367 @@
+const { Timestamp } = require('firebase-admin').firestore;
+
+// In-memory stand-in for the parts of the Firestore API the tracker uses:
+// documents and subcollections, equality/range/`in` filters, ordering,
+// cursors, counts, batches, transactions, preconditions and query listeners.
+// Indexes and transaction contention are not modelled.
+
+// FieldValue sentinels are recognised by class name, so the firebase-admin and
+// @google-cloud/firestore copies both work
+function sentinel(value) {
+  return value && typeof value === 'object' ? value.constructor?.name : null;
+}
+
+function isTimestamp(value) {
+  return value && typeof value === 'object' && typeof value.toMillis === 'function';
+}
+
+// Stored form of a written value: Dates become Timestamps, like on a read
+function toStored(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (sentinel(value) === 'ServerTimestampTransform') return Timestamp.now();
+  if (isTimestamp(value)) return value;
+  if (Array.isArray(value)) return value.map(toStored);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, field]) => sentinel(field) !== 'DeleteTransform')
+      .map(([key, field]) => [key, toStored(field)]));
+  }
+  return value;
+}
+
+function clone(value) {
+  if (isTimestamp(value)) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+}
+
+function readPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function writePath(data, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+    return object[key];
+  }, data);
+
+  const kind = sentinel(value);
+  if (kind === 'DeleteTransform') delete parent[last];
+  else if (kind === 'NumericIncrementTransform') parent[last] = (parent[last] || 0) + value.operand;
+  else parent[last] = toStored(value);
+}
+
+// Dates in filters and cursors compare with stored Timestamps by time
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  return isTimestamp(value) ? value.toMillis() : value;
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function firestoreError(code, message) {
+  return Object.assign(new Error(`${code} ${message}`), { code: { 'NOT_FOUND': 5, 'ALREADY_EXISTS': 6, 'FAILED_PRECONDITION': 9 }[code] });
+}
+
+class DocumentSnapshot {
+  constructor(ref, data, updateTime) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.updateTime = updateTime;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(path) {
+    return this.exists ? clone(readPath(this._data, path)) : undefined;
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this.db = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this.parentPath = collectionPath;
+  }
+
+  collection(name) {
+    return this.db.collection(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.db._snapshot(this);
+  }
+
+  async set(data, { merge = false } = {}) {
+    const current = merge ? clone(this.db._docs.get(this.path)?.data || {}) : {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (merge) writePath(current, key, value);
+      else if (sentinel(value) !== 'DeleteTransform') current[key] = toStored(value);
+    });
+    return this.db._write(this, current);
+  }
+
+  async create(data) {
+    if (this.db._docs.has(this.path)) throw firestoreError('ALREADY_EXISTS', this.path);
+    return this.set(data);
+  }
+
+  async update(data, precondition = {}) {
+    const stored = this.db._docs.get(this.path);
+    if (!stored) throw firestoreError('NOT_FOUND', this.path);
+    if (precondition.lastUpdateTime && !stored.updateTime.isEqual(precondition.lastUpdateTime)) {
+      throw firestoreError('FAILED_PRECONDITION', this.path);
+    }
+    const current = clone(stored.data);
+    Object.entries(data).forEach(([path, value]) => writePath(current, path, value));
+    return this.db._write(this, current);
+  }
+
+  async delete() {
+    this.db._delete(this);
+  }
+}
+
+class Query {
+  constructor(db, collectionPath, { filters = [], orders = [], limit = null, cursor = null } = {}) {
+    this.db = db;
+    this.collectionPath = collectionPath;
+    this._options = { filters, orders, limit, cursor };
+  }
+
+  _with(changes) {
+    return new Query(this.db, this.collectionPath, { ...this._options, ...changes });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._options.filters, { field: String(field), op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    const name = typeof field === 'string' ? field : '__name__';
+    return this._with({ orders: [...this._options.orders, { field: name, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...values) {
+    if (values[0] instanceof DocumentSnapshot) {
+      const doc = values[0];
+      values = this._orders().map(({ field }) => (field === '__name__' ? doc.id : doc.get(field)));
+    }
+    return this._with({ cursor: values });
+  }
+
+  // Every field is returned; the projection only saves bandwidth for real
+  select() {
+    return this;
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: (this._matching()).length }) }) };
+  }
+
+  _orders() {
+    const { orders } = this._options;
+    return orders.some(({ field }) => field === '__name__') ? orders : [...orders, { field: '__name__', direction: 'asc' }];
+  }
+
+  _matching() {
+    const value = (doc, field) => (field === '__name__' ? doc.id : readPath(doc._data, field));
+    let docs = this.db._list(this.collectionPath);
+
+    this._options.filters.forEach(({ field, op, value: expected }) => {
+      docs = docs.filter(doc => {
+        const actual = value(doc, field);
+        if (op === 'in') return actual !== undefined && expected.some(item => compare(actual, item) === 0);
+        if (op === 'array-contains') return Array.isArray(actual) && actual.some(item => compare(item, expected) === 0);
+        if (actual === undefined) return false;
+        const order = compare(actual, expected);
+        if (op === '==') return order === 0;
+        if (op === '!=') return order !== 0 && actual !== null;
+        if (op === '<') return order < 0;
+        if (op === '<=') return order <= 0;
+        if (op === '>') return order > 0;
+        if (op === '>=') return order >= 0;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    });
+
+    // Like Firestore, ordering on a field leaves out documents without it
+    const orders = this._orders();
+    docs = docs.filter(doc => orders.every(({ field }) => value(doc, field) !== undefined));
+    const sortKey = (a, b) => {
+      for (const { field, direction } of orders) {
+        const order = compare(value(a, field), value(b, field));
+        if (order) return direction === 'desc' ? -order : order;
+      }
+      return 0;
+    };
+    docs.sort(sortKey);
+
+    const { cursor, limit } = this._options;
+    if (cursor) {
+      docs = docs.filter(doc => {
+        for (let i = 0; i < cursor.length; i++) {
+          const { field, direction } = orders[i];
+          const order = compare(value(doc, field), cursor[i]);
+          if (order) return direction === 'desc' ? order < 0 : order > 0;
+        }
+        return false;
+      });
+    }
+    return limit === null ? docs : docs.slice(0, limit);
+  }
+
+  async get() {
+    const docs = this._matching();
+    return { docs, empty: !docs.length, size: docs.length, forEach: callback => docs.forEach(callback) };
+  }
+
+  // Calls back with the current result and again after every write that
+  // changes it, with docChanges() relative to the previous call
+  onSnapshot(onNext) {
+    let previous = new Map();
+    const notify = () => {
+      const docs = this._matching();
+      const current = new Map(docs.map(doc => [doc.id, doc]));
+      const changes = [];
+      current.forEach((doc, id) => {
+        if (!previous.has(id)) changes.push({ type: 'added', doc });
+        else if (!previous.get(id).updateTime.isEqual(doc.updateTime)) changes.push({ type: 'modified', doc });
+      });
+      previous.forEach((doc, id) => {
+        if (!current.has(id)) changes.push({ type: 'removed', doc });
+      });
+      previous = current;
+      if (changes.length || !notify.called) {
+        notify.called = true;
+        onNext({ docs, size: docs.length, empty: !docs.length, docChanges: () => changes });
+      }
+    };
+    this.db._listeners.add(notify);
+    notify();
+    return () => this.db._listeners.delete(notify);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = `auto-${++this.db._autoId}`) {
+    return new DocumentReference(this.db, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    // document path -> { data, updateTime }
+    this._docs = new Map();
+    this._listeners = new Set();
+    this._autoId = 0;
+    this._clock = 0;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  _list(collectionPath) {
+    return [...this._docs.entries()]
+      .filter(([path]) => path.slice(0, path.lastIndexOf('/')) === collectionPath)
+      .map(([path, { data, updateTime }]) => new DocumentSnapshot(
+        new DocumentReference(this, collectionPath, path.slice(path.lastIndexOf('/') + 1)), data, updateTime
+      ));
+  }
+
+  _snapshot(ref) {
+    const stored = this._docs.get(ref.path);
+    return new DocumentSnapshot(ref, stored?.data, stored?.updateTime);
+  }
+
+  // Update times are unique, so lastUpdateTime preconditions work
+  _write(ref, data) {
+    const now = Date.now();
+    const updateTime = new Timestamp(Math.floor(now / 1000), (now % 1000) * 1e6 + (++this._clock % 1e6));
+    this._docs.set(ref.path, { data, updateTime });
+    this._notify();
+    return { writeTime: updateTime };
+  }
+
+  _delete(ref) {
+    this._docs.delete(ref.path);
+    this._notify();
+  }
+
+  _notify() {
+    this._listeners.forEach(listener => listener());
+  }
+
+  batch() {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return batch; },
+      update: (ref, data) => { writes.push(() => ref.update(data)); return batch; },
+      delete: (ref) => { writes.push(() => ref.delete()); return batch; },
+      commit: async () => {
+        for (const write of writes) await write();
+      }
+    };
+    return batch;
+  }
+
+  // Writes are applied after the callback returns, as one unit
+  async runTransaction(callback) {
+    const writes = [];
+    const transaction = {
+      get: (refOrQuery) => refOrQuery.get(),
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return transaction; },
+      create: (ref, data) => { writes.push(() => ref.create(data)); return transaction; },
+      update: (ref, data) => { writes.push(() => ref.update(data)); return transaction; },
+      delete: (ref) => { writes.push(() => ref.delete()); return transaction; }
+    };
+    const result = await callback(transaction);
+    for (const write of writes) await write();
+    return result;
+  }
+
+  async listCollections() {
+    return [];
+  }
+
+  // Plain copies of a collection's documents, keyed by ID
+  dump(collectionPath) {
+    return Object.fromEntries(this._list(collectionPath).map(doc => [doc.id, doc.data()]));
+  }
+}
+
+module.exports = { FakeFirestore, Timestamp };
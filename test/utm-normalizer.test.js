@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeUtm } = require('../utm-normalizer');
+
+test('UTM parameters win over the platform macro names', () => {
+  const utm = normalizeUtm({
+    utm_source: 'Newsletter', CampaignSource: 'fb',
+    utm_medium: 'email', AdSetName: 'Lookalikes',
+    utm_campaign: 'spring', CampaignName: 'Spring Sale',
+    utm_content: 'hero', AdName: 'Video 1',
+    placement: 'inbox', Placement: 'feed'
+  });
+
+  assert.deepStrictEqual(utm, { source: 'newsletter', medium: 'email', campaign: 'spring', content: 'hero', placement: 'inbox' });
+});
+
+test('the macro names of each platform fill in the fields', () => {
+  assert.deepStrictEqual(normalizeUtm({
+    site_source_name: 'ig', 'Ad Set Name': 'Lookalikes', Campaign_Name: 'Spring Sale', 'Ad Name': 'Video 1', Placement: 'feed'
+  }), { source: 'instagram', medium: 'Lookalikes', campaign: 'Spring Sale', content: 'Video 1', placement: 'feed' });
+
+  assert.deepStrictEqual(normalizeUtm({
+    utm_source: 'tiktok', adgroup_name: 'Young adults', campaign_name: 'Launch', ad_name: 'Dance', placement: 'tiktok_feed'
+  }), { source: 'tiktok', medium: 'Young adults', campaign: 'Launch', content: 'Dance', placement: 'tiktok_feed' });
+
+  assert.deepStrictEqual(normalizeUtm({ gclid: 'abc', campaignid: '123456', creative: '789', network: 'g' }),
+    { source: 'google', medium: 'cpc', campaign: '123456', content: '789', placement: 'g' });
+});
+
+test('source spellings are lower-cased and mapped to one name', () => {
+  const source = (value) => normalizeUtm({ utm_source: value }).source;
+
+  assert.strictEqual(source('FB'), 'facebook');
+  assert.strictEqual(source('facebook.com'), 'facebook');
+  assert.strictEqual(source('an'), 'audience_network');
+  assert.strictEqual(source('msg'), 'messenger');
+  assert.strictEqual(source('AdWords'), 'google');
+  assert.strictEqual(source('Google Ads'), 'google');
+  assert.strictEqual(source('Microsoft'), 'bing');
+  assert.strictEqual(source('TikTok Ads'), 'tiktok');
+  assert.strictEqual(source('Newsletter'), 'newsletter');
+});
+
+test('the first click ID present gives the channel', () => {
+  const channel = (params, signals) => {
+    const { source, medium } = normalizeUtm(params, signals);
+    return `${source} / ${medium}`;
+  };
+
+  assert.strictEqual(channel({ gclid: 'a', fbclid: 'b' }), 'google / cpc');
+  assert.strictEqual(channel({ msclkid: 'a' }), 'bing / cpc');
+  assert.strictEqual(channel({}, { ttclid: 'a' }), 'tiktok / paid_social');
+  assert.strictEqual(channel({ fbclid: 'a' }, { referrer: 'https://www.google.com/' }), 'facebook / social');
+});
+
+test('without click IDs the referrer gives the channel', () => {
+  const channel = (signals) => {
+    const { source, medium } = normalizeUtm({}, signals);
+    return `${source} / ${medium}`;
+  };
+
+  assert.strictEqual(channel({ referrer: 'https://www.google.co.in/search' }), 'google / organic');
+  assert.strictEqual(channel({ referrer: 'https://l.facebook.com/l.php' }), 'facebook / social');
+  assert.strictEqual(channel({ referrer: 'https://t.co/abc' }), 'twitter / social');
+  assert.strictEqual(channel({ referrer: 'https://blog.example.org/post' }), 'blog.example.org / referral');
+  // Navigation within the landing site, no referrer or an unreadable one is direct
+  assert.strictEqual(channel({ referrer: 'https://clinic.example/a', landing_page: 'https://www.clinic.example/b' }), 'direct / none');
+  assert.strictEqual(channel({}), 'direct / none');
+  assert.strictEqual(channel({ referrer: 'not a url' }), 'direct / none');
+});
+
+test('unexpanded macros are dropped', () => {
+  const utm = normalizeUtm({
+    utm_source: '{{site_source_name}}', site_source_name: 'fb',
+    utm_campaign: '{campaignid}', CampaignName: 'Spring Sale',
+    utm_content: '__CID_NAME__',
+    utm_medium: '   '
+  });
+
+  assert.deepStrictEqual(utm, { source: 'facebook', medium: 'unknown', campaign: 'Spring Sale', content: 'unknown', placement: 'unknown' });
+});
+
+test('an inferred medium is used only with the inferred source', () => {
+  // The source agrees with the click ID, so its medium applies
+  assert.strictEqual(normalizeUtm({ utm_source: 'google', gclid: 'a' }).medium, 'cpc');
+  // An explicit source that differs does not inherit it
+  assert.strictEqual(normalizeUtm({ utm_source: 'newsletter', gclid: 'a' }).medium, 'unknown');
+  // An explicit medium always wins
+  assert.strictEqual(normalizeUtm({ utm_medium: 'display', gclid: 'a' }).medium, 'display');
+});
+
+test('values are trimmed and cut to 200 characters', () => {
+  const utm = normalizeUtm({ utm_source: 'google', utm_campaign: `  ${'x'.repeat(250)}  ` });
+
+  assert.strictEqual(utm.campaign, 'x'.repeat(200));
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, GO_QUERY_SCHEMA } = require('../validation');
+
+test('accepts a /go query of single UTM values and click IDs', () => {
+  const query = { utm_source: 'facebook', utm_campaign: 'spring', 'Campaign Name': 'Spring', fbclid: 'abc', brand: 'clinic' };
+  assert.deepStrictEqual(validate(GO_QUERY_SCHEMA, query), []);
+});
+
+test('rejects repeated, bracketed and oversized /go parameters', () => {
+  const query = { brand: ['clinic', 'salon'], utm_source: { nested: 'x' }, utm_campaign: 'x'.repeat(201) };
+  assert.deepStrictEqual(validate(GO_QUERY_SCHEMA, query).map(error => error.field).sort(), ['brand', 'utm_campaign', 'utm_source']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createWebhookProcessor } = require('../webhook-processor');
+const { createWebhookArchive } = require('../webhook-archive');
+const { DEFAULT_UTM } = require('../channel-registry');
+
+const CHANNEL = { number: '911111111111', brand: 'clinic', countryCode: '91', defaultUtm: DEFAULT_UTM };
+
+function setup() {
+  const db = new FakeFirestore();
+  const channelRegistry = { findByNumber: async (number) => (number === CHANNEL.number ? CHANNEL : null) };
+  const touchpointStore = { recordMessage: async () => {} };
+  return {
+    db,
+    processor: createWebhookProcessor({ db, channelRegistry, touchpointStore }),
+    archive: createWebhookArchive(db)
+  };
+}
+
+function message({ from, conversationId, text = 'Hi' }) {
+  return { channelNumber: CHANNEL.number, conversationId, whatsapp: { from, text: { body: text } } };
+}
+
+// Archives and processes events the way the webhook route does
+async function receive({ archive, processor }, event) {
+  const ref = await archive.record(event);
+  await archive.saveResult(ref, await processor.processEvent(event));
+}
+
+test('replaying unchanged events finds no differences and writes nothing', async (t) => {
+  process.env.STORE_DIRECT_MESSAGES = 'true';
+  t.after(() => delete process.env.STORE_DIRECT_MESSAGES);
+  const context = setup();
+  const { db, archive, processor } = context;
+  const from = new Date(Date.now() - 60 * 1000);
+
+  await db.collection('utmClicks').doc('clicked').set({
+    brand: 'clinic', phoneNumber: '919811111111', hasEngaged: false, timestamp: new Date(Date.now() - 5000), source: 'google'
+  });
+  await receive(context, message({ from: '9811111111', conversationId: 'conversation-1' }));
+  await receive(context, message({ from: '9822222222', conversationId: 'conversation-2' }));
+  await receive(context, message({ from: '9822222222', conversationId: 'conversation-2', text: 'Still there?' }));
+
+  const stored = db.dump('utmClicks');
+  assert.strictEqual(Object.keys(stored).length, 2);
+
+  const result = await archive.replay(processor, { from, to: new Date() });
+  assert.strictEqual(result.replayed, 3);
+  assert.deepStrictEqual(result.changes, []);
+
+  await archive.replay(processor, { from, to: new Date(), apply: true });
+  assert.deepStrictEqual(db.dump('utmClicks'), stored);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createWebhookProcessor } = require('../webhook-processor');
+const { DEFAULT_UTM } = require('../channel-registry');
+
+const CHANNELS = [
+  { number: '911111111111', brand: 'clinic', countryCode: '91', defaultUtm: DEFAULT_UTM },
+  { number: '912222222222', brand: 'salon', countryCode: '91', defaultUtm: DEFAULT_UTM }
+];
+
+function setup() {
+  const db = new FakeFirestore();
+  const channelRegistry = {
+    findByNumber: async (number) => CHANNELS.find(channel => channel.number === number) || null
+  };
+  const touchpointStore = { recordMessage: async () => {} };
+  return { db, processor: createWebhookProcessor({ db, channelRegistry, touchpointStore }) };
+}
+
+function message({ channel = '911111111111', from = '9812345678', text = 'Hi', conversationId = 'conversation-1' } = {}) {
+  return { channelNumber: channel, conversationId, whatsapp: { from, text: { body: text } } };
+}
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+test('phone matches of other brands do not crowd out this brand\'s click', async () => {
+  const { db, processor } = setup();
+  const clicks = db.collection('utmClicks');
+  await clicks.doc('clinic-click').set({
+    brand: 'clinic', phoneNumber: '919812345678', hasEngaged: false, timestamp: minutesAgo(60), source: 'google'
+  });
+  for (let i = 0; i < 6; i++) {
+    await clicks.doc(`salon-click-${i}`).set({
+      brand: 'salon', phoneNumber: '919812345678', hasEngaged: false, timestamp: minutesAgo(i), source: 'facebook'
+    });
+  }
+
+  const result = await processor.processEvent(message());
+
+  assert.strictEqual(result.sessionId, 'clinic-click');
+  assert.strictEqual(result.attribution, 'scored_match');
+});
+
+test('a busier brand\'s recent clicks do not crowd out this brand\'s click', async () => {
+  const { db, processor } = setup();
+  const clicks = db.collection('utmClicks');
+  await clicks.doc('clinic-click').set({
+    brand: 'clinic', hasEngaged: false, is_bot: false, timestamp: minutesAgo(0.5), device_type: 'mobile', source: 'google'
+  });
+  for (let i = 0; i < 30; i++) {
+    await clicks.doc(`salon-click-${i}`).set({
+      brand: 'salon', hasEngaged: false, is_bot: false, timestamp: minutesAgo(0.1), source: 'facebook'
+    });
+  }
+
+  const result = await processor.processEvent(message());
+
+  assert.strictEqual(result.sessionId, 'clinic-click');
+  assert.strictEqual(result.attribution, 'scored_match');
+});
+
+test('waits for lead alerts before returning', async () => {
+  const { db } = setup();
+  let notified = false;
+  const notifier = { notifyLead: () => new Promise(resolve => setTimeout(() => { notified = true; resolve([]); }, 20)) };
+  const processor = createWebhookProcessor({
+    db,
+    channelRegistry: { findByNumber: async () => CHANNELS[0] },
+    touchpointStore: { recordMessage: async () => {} },
+    notifier
+  });
+
+  await processor.processEvent(message());
+
+  assert.strictEqual(notified, true);
+});
+
+test('bot clicks do not crowd the visitor\'s click out of the recent pool', async () => {
+  const { db, processor } = setup();
+  const clicks = db.collection('utmClicks');
+  await clicks.doc('visitor-click').set({
+    brand: 'clinic', hasEngaged: false, is_bot: false, timestamp: minutesAgo(0.5), device_type: 'mobile', source: 'google'
+  });
+  for (let i = 0; i < 30; i++) {
+    await clicks.doc(`bot-click-${i}`).set({
+      brand: 'clinic', hasEngaged: false, is_bot: true, bot_reason: 'missing_user_agent', timestamp: minutesAgo(0.1), source: 'facebook'
+    });
+  }
+
+  const result = await processor.processEvent(message());
+
+  assert.strictEqual(result.sessionId, 'visitor-click');
+});
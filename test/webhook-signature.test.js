@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { FakeFirestore } = require('./support/fake-firestore');
+const { createSignatureVerifier, captureRawBody } = require('../webhook-signature');
+const metrics = require('../metrics');
+
+const SECRETS = ['new-secret', 'old-secret'];
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The verifier in front of a handler that answers with `status`
+async function startApp(t, { status = 200, createSignatureVerifier: createVerifier = createSignatureVerifier } = {}) {
+  const db = new FakeFirestore();
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  const verify = createVerifier({ db, getSecrets: async () => SECRETS, getLegacyToken: async () => 'legacy-token' });
+  app.post('/webhook', verify, (req, res) => {
+    res.status(typeof status === 'function' ? status() : status).json({ received: req.body.id });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const send = async (body, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { db, send };
+}
+
+function signedHeaders(body, { secret = SECRETS[0], timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return {
+    'X-Gallabox-Timestamp': String(timestamp),
+    'X-Gallabox-Signature': `sha256=${sign(secret, timestamp, body)}`
+  };
+}
+
+test('accepts a request signed with any active secret', async (t) => {
+  const { send } = await startApp(t);
+  const body = JSON.stringify({ id: 'event-1' });
+
+  assert.deepStrictEqual(await send(body, signedHeaders(body)), { status: 200, body: { received: 'event-1' } });
+
+  const other = JSON.stringify({ id: 'event-2' });
+  const response = await send(other, signedHeaders(other, { secret: 'old-secret' }));
+  assert.strictEqual(response.status, 200);
+});
+
+test('rejects missing, forged and stale signatures', async (t) => {
+  const { send } = await startApp(t);
+  const body = JSON.stringify({ id: 'event-1' });
+
+  assert.strictEqual((await send(body, { 'X-Gallabox-Token': 'wrong-token' })).status, 401);
+  assert.strictEqual((await send(body, signedHeaders(body, { secret: 'wrong-secret' }))).status, 401);
+
+  // A signature over a different body does not carry over
+  const tampered = JSON.stringify({ id: 'event-1', extra: true });
+  assert.strictEqual((await send(tampered, signedHeaders(body))).status, 401);
+
+  const stale = Math.floor(Date.now() / 1000) - 3600;
+  const response = await send(body, signedHeaders(body, { timestamp: stale }));
+  assert.deepStrictEqual(response, { status: 401, body: { error: 'Missing or expired timestamp' } });
+});
+
+test('processes each signed delivery once', async (t) => {
+  const { db, send } = await startApp(t);
+  const body = JSON.stringify({ id: 'event-1' });
+  const headers = signedHeaders(body);
+
+  assert.strictEqual((await send(body, headers)).status, 200);
+  assert.deepStrictEqual(await send(body, headers), {
+    status: 200,
+    body: { status: 'skipped', reason: 'duplicate_delivery' }
+  });
+  assert.strictEqual(Object.keys(db.dump('webhookDeliveries')).length, 1);
+});
+
+test('a delivery that was not processed can be sent again', async (t) => {
+  let status = 500;
+  const { send } = await startApp(t, { status: () => status });
+  const body = JSON.stringify({ id: 'event-1' });
+  const headers = signedHeaders(body);
+
+  assert.strictEqual((await send(body, headers)).status, 500);
+  // The claim is released once the response has finished
+  await new Promise(resolve => setImmediate(resolve));
+  status = 400;
+  assert.strictEqual((await send(body, headers)).status, 400);
+  await new Promise(resolve => setImmediate(resolve));
+  status = 200;
+  assert.deepStrictEqual(await send(body, headers), { status: 200, body: { received: 'event-1' } });
+});
+
+test('the legacy token is rejected unless the deployment opts in', async (t) => {
+  const { send } = await startApp(t);
+  const body = JSON.stringify({ id: 'event-1' });
+
+  const response = await send(body, { 'X-Gallabox-Token': 'legacy-token' });
+  assert.deepStrictEqual(response, { status: 401, body: { error: 'Missing signature' } });
+});
+
+test('with the opt-in, unsigned requests with the legacy token are accepted and counted', async (t) => {
+  // The setting is read when the module loads
+  process.env.GALLABOX_ALLOW_LEGACY_TOKEN = 'true';
+  delete require.cache[require.resolve('../webhook-signature')];
+  t.after(() => {
+    delete process.env.GALLABOX_ALLOW_LEGACY_TOKEN;
+    delete require.cache[require.resolve('../webhook-signature')];
+  });
+  const { send } = await startApp(t, { createSignatureVerifier: require('../webhook-signature').createSignatureVerifier });
+  const body = JSON.stringify({ id: 'event-1' });
+
+  assert.strictEqual((await send(body, { 'X-Gallabox-Token': 'wrong-token' })).status, 401);
+  const response = await send(body, { 'X-Gallabox-Token': 'legacy-token' });
+  assert.deepStrictEqual(response, { status: 200, body: { received: 'event-1' } });
+  assert.match(metrics.render(), /^webhook_legacy_token_total 1$/m);
+});
@@ -0,0 +1,80 @@
+// Per-contact touchpoint history. Clicks come from the utmClicks records linked
+// to the phone number; messages are logged under contacts/{phone}/touchpoints
+// because each engagement overwrites the click record it is attributed to.
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value instanceof Date) return value;
+  return new Date(value);
+}
+
+function createTouchpointStore(db) {
+  const contacts = db.collection('contacts');
+  const clicks = db.collection('utmClicks');
+
+  async function recordMessage(phone, { sessionId, attribution, brand, conversationId, contactName }) {
+    const now = new Date();
+    const contactRef = contacts.doc(phone);
+
+    await contactRef.set({
+      phoneNumber: phone,
+      lastSeenAt: now,
+      ...(brand && { brand }),
+      ...(contactName && { contactName })
+    }, { merge: true });
+
+    await contactRef.collection('touchpoints').add({
+      type: 'message',
+      at: now,
+      sessionId: sessionId || null,
+      attribution: attribution || null,
+      brand: brand || null,
+      conversationId: conversationId || null
+    });
+  }
+
+  // All touchpoints for a phone number, oldest first
+  async function getTimeline(phone) {
+    const [clickSnapshot, messageSnapshot] = await Promise.all([
+      clicks.where('phoneNumber', '==', phone).get(),
+      contacts.doc(phone).collection('touchpoints').orderBy('at').get()
+    ]);
+
+    const clickTouches = clickSnapshot.docs
+      // Direct-message records are conversations, not campaign touches
+      .filter(doc => doc.data().source !== 'direct_message')
+      .map(doc => {
+        const data = doc.data();
+        return {
+          type: 'click',
+          at: toDate(data.click_time) || toDate(data.timestamp),
+          sessionId: doc.id,
+          brand: data.brand || null,
+          source: data.source,
+          medium: data.medium,
+          campaign: data.campaign,
+          content: data.content
+        };
+      });
+
+    const messageTouches = messageSnapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        type: 'message',
+        at: toDate(data.at),
+        sessionId: data.sessionId,
+        brand: data.brand,
+        attribution: data.attribution
+      };
+    });
+
+    return [...clickTouches, ...messageTouches]
+      .filter(touch => touch.at)
+      .sort((a, b) => a.at - b.at);
+  }
+
+  return { recordMessage, getTimeline };
+}
+
+module.exports = { createTouchpointStore };
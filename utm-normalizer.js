@@ -0,0 +1,135 @@
+// Canonical source/medium/campaign/content/placement for a click, computed once
+// when it is stored. Explicit UTM parameters win, then the macro names each ad
+// platform fills in, then the channel inferred from click IDs and the referrer.
+
+const MAX_VALUE_LENGTH = 200;
+
+// Parameter names tried in order for each canonical field
+const FIELD_ALIASES = {
+  source: [
+    'utm_source', 'source',
+    // Meta: {{site_source_name}} (fb, ig, an, msg)
+    'CampaignSource', 'Campaign Source', 'Campaign_Source', 'site_source_name'
+  ],
+  medium: [
+    'utm_medium', 'medium',
+    // Meta {{adset.name}} and TikTok __AID_NAME__: the ad set is kept as the medium
+    'AdSetName', 'Ad Set Name', 'Ad_Set_Name', 'adgroup_name'
+  ],
+  campaign: [
+    'utm_campaign', 'campaign',
+    // Meta {{campaign.name}}, TikTok __CAMPAIGN_NAME__, Google Ads {campaignid}
+    'CampaignName', 'Campaign Name', 'Campaign_Name', 'campaign_name', 'campaignid'
+  ],
+  content: [
+    'utm_content', 'content',
+    // Meta {{ad.name}}, TikTok __CID_NAME__, Google Ads {creative}
+    'AdName', 'Ad Name', 'Ad_Name', 'ad_name', 'creative'
+  ],
+  placement: [
+    // Meta {{placement}}, TikTok __PLACEMENT__, Google Ads {network}
+    'placement', 'Placement', 'network'
+  ]
+};
+
+// Lower-case source spellings mapped to one name
+const SOURCE_ALIASES = {
+  fb: 'facebook',
+  'facebook.com': 'facebook',
+  ig: 'instagram',
+  'instagram.com': 'instagram',
+  an: 'audience_network',
+  msg: 'messenger',
+  adwords: 'google',
+  'google ads': 'google',
+  microsoft: 'bing',
+  'tiktok ads': 'tiktok'
+};
+
+// Checked when no source was passed; the first present click ID wins
+const CLICK_ID_CHANNELS = [
+  ['gclid', { source: 'google', medium: 'cpc' }],
+  ['msclkid', { source: 'bing', medium: 'cpc' }],
+  ['ttclid', { source: 'tiktok', medium: 'paid_social' }],
+  // Facebook adds fbclid to organic link clicks too
+  ['fbclid', { source: 'facebook', medium: 'social' }]
+];
+
+const REFERRER_CHANNELS = [
+  [/(^|\.)google\.[a-z.]+$/, { source: 'google', medium: 'organic' }],
+  [/(^|\.)bing\.com$/, { source: 'bing', medium: 'organic' }],
+  [/(^|\.)yahoo\.com$/, { source: 'yahoo', medium: 'organic' }],
+  [/(^|\.)duckduckgo\.com$/, { source: 'duckduckgo', medium: 'organic' }],
+  [/(^|\.)(facebook\.com|fb\.com|fb\.me)$/, { source: 'facebook', medium: 'social' }],
+  [/(^|\.)instagram\.com$/, { source: 'instagram', medium: 'social' }],
+  [/(^|\.)tiktok\.com$/, { source: 'tiktok', medium: 'social' }],
+  [/(^|\.)(t\.co|twitter\.com|x\.com)$/, { source: 'twitter', medium: 'social' }],
+  [/(^|\.)(linkedin\.com|lnkd\.in)$/, { source: 'linkedin', medium: 'social' }],
+  [/(^|\.)(youtube\.com|youtu\.be)$/, { source: 'youtube', medium: 'social' }]
+];
+
+const DIRECT = { source: 'direct', medium: 'none' };
+
+// Macros the platform did not expand: {{ad.name}}, {campaignid}, __CID_NAME__
+const UNEXPANDED_MACRO = /^(\{\{.*\}\}|\{[\w:]+\}|__[A-Z_]+__)$/;
+
+function cleanValue(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text || UNEXPANDED_MACRO.test(text)) return null;
+  return text.substring(0, MAX_VALUE_LENGTH);
+}
+
+function firstValue(params, names) {
+  for (const name of names) {
+    const value = cleanValue(params[name]);
+    if (value) return value;
+  }
+  return null;
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Channel implied by click IDs, else by the referrer, else direct
+function inferChannel(params, signals) {
+  for (const [clickId, channel] of CLICK_ID_CHANNELS) {
+    if (signals[clickId] || cleanValue(params[clickId])) return channel;
+  }
+
+  const referrerHost = hostname(signals.referrer);
+  // Navigation within the landing site says nothing about where the visitor came from
+  if (!referrerHost || referrerHost === hostname(signals.landing_page)) return DIRECT;
+
+  const match = REFERRER_CHANNELS.find(([pattern]) => pattern.test(referrerHost));
+  return match ? match[1] : { source: referrerHost, medium: 'referral' };
+}
+
+// params:  the click's URL parameters, in any platform's naming
+// signals: click IDs, referrer and landing_page from click enrichment
+function normalizeUtm(params = {}, signals = {}) {
+  const inferred = inferChannel(params, signals);
+
+  const explicitSource = firstValue(params, FIELD_ALIASES.source);
+  const source = explicitSource
+    ? SOURCE_ALIASES[explicitSource.toLowerCase()] || explicitSource.toLowerCase()
+    : inferred.source;
+  // An inferred medium only fits the channel it was inferred with
+  const medium = firstValue(params, FIELD_ALIASES.medium) ||
+    (source === inferred.source ? inferred.medium : 'unknown');
+
+  return {
+    source,
+    medium,
+    campaign: firstValue(params, FIELD_ALIASES.campaign) || 'unknown',
+    content: firstValue(params, FIELD_ALIASES.content) || 'unknown',
+    placement: firstValue(params, FIELD_ALIASES.placement) || 'unknown'
+  };
+}
+
+module.exports = { normalizeUtm };
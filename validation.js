@@ -0,0 +1,179 @@
+const metrics = require('./metrics');
+
+// Request body and query schemas. A schema maps field paths (dots for nested objects)
+// to rules:
+//   type       - 'string', 'number', 'boolean' or 'object', or a list of them
+//   required   - the field must be present and not empty
+//   maxLength  - for strings (and numbers, by their digits)
+//   pattern    - RegExp the string must match
+//   keys       - allow-list for the keys of an object
+//   values     - rule applied to every value of an object
+// Fields not in the schema are left alone.
+
+const rejections = metrics.counter('validation_rejections_total', 'Requests rejected by payload validation');
+
+// Keys /store-click accepts in original_params: the UTM names, the ad platform
+// macro names utm-normalizer.js maps, and ad click IDs. Extend with
+// ORIGINAL_PARAMS_EXTRA_KEYS (comma separated).
+const ORIGINAL_PARAM_KEYS = [
+  'source', 'medium', 'campaign', 'content', 'placement', 'term',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+  'CampaignSource', 'Campaign Source', 'Campaign_Source',
+  'AdSetName', 'Ad Set Name', 'Ad_Set_Name',
+  'CampaignName', 'Campaign Name', 'Campaign_Name',
+  'AdName', 'Ad Name', 'Ad_Name',
+  'Placement', 'campaign_id', 'adset_id', 'ad_id', 'site_source_name',
+  'campaign_name', 'adgroup_name', 'ad_name', 'campaignid', 'adgroupid', 'creative', 'network',
+  'fbclid', 'gclid', 'ttclid', 'msclkid',
+  ...(process.env.ORIGINAL_PARAMS_EXTRA_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+];
+
+const UTM_VALUE = { type: 'string', maxLength: 200 };
+const CLICK_ID = { type: 'string', maxLength: 500 };
+const URL_VALUE = { type: 'string', maxLength: 2048 };
+
+const STORE_CLICK_SCHEMA = {
+  // Becomes the Firestore document ID, so no slashes or dots
+  session_id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{8,128}$/ },
+  brand: { type: 'string', maxLength: 100 },
+  source: UTM_VALUE,
+  medium: UTM_VALUE,
+  campaign: UTM_VALUE,
+  content: UTM_VALUE,
+  placement: UTM_VALUE,
+  fbclid: CLICK_ID,
+  gclid: CLICK_ID,
+  ttclid: CLICK_ID,
+  msclkid: CLICK_ID,
+  referrer: URL_VALUE,
+  landing_page: URL_VALUE,
+  original_params: {
+    type: 'object',
+    keys: ORIGINAL_PARAM_KEYS,
+    values: { type: ['string', 'number'], maxLength: 500 }
+  }
+};
+
+// /go query parameters, the same values /store-click accepts. Repeated
+// (?a=1&a=2) and bracketed (?a[b]=1) parameters arrive as arrays and objects
+// and fail the string type.
+const GO_QUERY_SCHEMA = {
+  ...Object.fromEntries(ORIGINAL_PARAM_KEYS.map(key => [key, { type: 'string', maxLength: 500 }])),
+  brand: STORE_CLICK_SCHEMA.brand,
+  source: UTM_VALUE,
+  medium: UTM_VALUE,
+  campaign: UTM_VALUE,
+  content: UTM_VALUE,
+  placement: UTM_VALUE,
+  utm_source: UTM_VALUE,
+  utm_medium: UTM_VALUE,
+  utm_campaign: UTM_VALUE,
+  utm_content: UTM_VALUE,
+  utm_term: UTM_VALUE,
+  fbclid: CLICK_ID,
+  gclid: CLICK_ID,
+  ttclid: CLICK_ID,
+  msclkid: CLICK_ID
+};
+
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,25}$/;
+
+const GALLABOX_WEBHOOK_SCHEMA = {
+  channelNumber: { type: ['string', 'number'], required: true, pattern: PHONE_PATTERN },
+  conversationId: { type: 'string', maxLength: 128 },
+  contactId: { type: 'string', maxLength: 128 },
+  'contact.id': { type: 'string', maxLength: 128 },
+  'contact.name': { type: 'string', maxLength: 200 },
+  // base64 JSON written by the landing page
+  context: { type: 'string', maxLength: 4096 },
+  whatsapp: { type: 'object', required: true },
+  'whatsapp.from': { type: ['string', 'number'], required: true, pattern: PHONE_PATTERN },
+  'whatsapp.text.body': { type: 'string', maxLength: 4096 },
+  'whatsapp.interactive.list_reply.title': { type: 'string', maxLength: 1024 }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function getPath(body, path) {
+  return path.split('.').reduce((value, key) => (typeOf(value) === 'object' ? value[key] : undefined), body);
+}
+
+function checkValue(field, value, rule, errors) {
+  const types = [].concat(rule.type);
+  if (!types.includes(typeOf(value))) {
+    errors.push({ field, message: `must be of type ${types.join(' or ')}` });
+    return;
+  }
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    const text = String(value);
+    if (rule.maxLength && text.length > rule.maxLength) {
+      errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    } else if (rule.pattern && !rule.pattern.test(text)) {
+      errors.push({ field, message: 'has an invalid format' });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    Object.keys(value).forEach(key => {
+      if (rule.keys && !rule.keys.includes(key)) {
+        errors.push({ field: `${field}.${key}`, message: 'is not an allowed field' });
+      } else if (rule.values) {
+        checkValue(`${field}.${key}`, value[key], rule.values, errors);
+      }
+    });
+  }
+}
+
+// Field-level errors, [{ field, message }]; empty when the body is valid
+function validate(schema, body) {
+  if (typeOf(body) !== 'object') {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = getPath(body, field);
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    checkValue(field, value, rule, errors);
+  }
+  return errors;
+}
+
+// Express middleware answering 400 with the field errors of an invalid
+// req.body or req.query
+function validateRequest(route, schema, part, message) {
+  return (req, res, next) => {
+    const errors = validate(schema, req[part]);
+    if (!errors.length) return next();
+
+    rejections.inc({ route });
+    console.warn(`Rejected ${route} ${part}:`, errors.map(error => `${error.field} ${error.message}`).join('; '));
+    res.status(400).json({ error: message, fields: errors });
+  };
+}
+
+function validateBody(route, schema) {
+  return validateRequest(route, schema, 'body', 'Invalid request body');
+}
+
+function validateQuery(route, schema) {
+  return validateRequest(route, schema, 'query', 'Invalid query parameters');
+}
+
+module.exports = {
+  validate,
+  validateBody,
+  validateQuery,
+  ORIGINAL_PARAM_KEYS,
+  STORE_CLICK_SCHEMA,
+  GO_QUERY_SCHEMA,
+  GALLABOX_WEBHOOK_SCHEMA
+};
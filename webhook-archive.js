@@ -0,0 +1,109 @@
+// Raw Gallabox webhook log (`webhookEvents`) and replay of archived events
+// through the current attribution logic.
+
+const PAGE_SIZE = 200;
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+function summarizeResult(result) {
+  return {
+    status: result.status,
+    reason: result.reason || null,
+    sessionId: result.sessionId || null,
+    attribution: result.attribution || null,
+    confidence: result.confidence ?? null
+  };
+}
+
+function createWebhookArchive(db) {
+  const events = db.collection('webhookEvents');
+
+  // The payload is kept as JSON text so arbitrary Gallabox keys never clash
+  // with Firestore field-name rules
+  async function record(event, receivedAt = new Date()) {
+    return events.add({
+      receivedAt,
+      channelNumber: event.channelNumber || null,
+      senderPhone: event.whatsapp?.from || null,
+      conversationId: event.conversationId || null,
+      payload: JSON.stringify(event),
+      result: null
+    });
+  }
+
+  async function saveResult(ref, result) {
+    await ref.update({ result: summarizeResult(result), processedAt: new Date() });
+  }
+
+  async function* iterate(from, to) {
+    let query = events.where('receivedAt', '>=', from).where('receivedAt', '<=', to).orderBy('receivedAt');
+    let last = null;
+
+    while (true) {
+      const snapshot = await (last ? query.startAfter(last) : query).limit(PAGE_SIZE).get();
+      yield* snapshot.docs;
+      if (snapshot.size < PAGE_SIZE) return;
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  // Re-runs archived events in receive order. Without `apply` nothing is
+  // written and the result lists the events whose attribution would change.
+  // With `apply`, only changed events are written: the old session is released
+  // and the event is processed again as of its original receive time.
+  async function replay(processor, { from, to, apply = false }) {
+    const claimedSessions = new Set();
+    const changes = [];
+    let replayed = 0;
+
+    for await (const doc of iterate(from, to)) {
+      const archived = doc.data();
+      const event = JSON.parse(archived.payload);
+      const replayAt = toMillis(archived.receivedAt);
+      const before = archived.result || {};
+      replayed++;
+
+      let after;
+      try {
+        after = summarizeResult(await processor.processEvent(event, { dryRun: true, replayAt, claimedSessions }));
+      } catch (err) {
+        after = { status: 'error', reason: err.message, sessionId: null, attribution: null, confidence: null };
+      }
+      if (after.sessionId && after.sessionId !== 'not_stored') claimedSessions.add(after.sessionId);
+
+      const changed = before.sessionId !== after.sessionId || before.attribution !== after.attribution;
+      if (!changed) continue;
+
+      changes.push({
+        eventId: doc.id,
+        receivedAt: new Date(replayAt).toISOString(),
+        conversationId: archived.conversationId,
+        before: { sessionId: before.sessionId || null, attribution: before.attribution || null },
+        after: { sessionId: after.sessionId, attribution: after.attribution, confidence: after.confidence }
+      });
+
+      if (apply && after.status === 'processed') {
+        if (before.sessionId && before.sessionId !== 'not_stored') {
+          await processor.releaseSession(before.sessionId, archived.conversationId);
+        }
+        const applied = await processor.processEvent(event, { replayAt, claimedSessions });
+        await doc.ref.update({
+          result: summarizeResult(applied),
+          replayedAt: new Date(),
+          previousResult: archived.result || null
+        });
+      }
+    }
+
+    return { replayed, changed: changes.length, applied: apply, changes };
+  }
+
+  return { record, saveResult, replay };
+}
+
+module.exports = { createWebhookArchive };
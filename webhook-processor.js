@@ -0,0 +1,361 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { extractRefCode, stripRefCode } = require('./ref-code');
+const { scoreCandidates, selectAttribution, WINDOW_MS } = require('./attribution');
+const { normalizeUtm } = require('./utm-normalizer');
+const { normalizePhone } = require('./channel-registry');
+
+// How long a webhook waits for its lead alerts before answering anyway
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || 3000);
+
+// Fields a message writes onto the session it is attributed to
+const ENGAGEMENT_FIELDS = [
+  'hasEngaged', 'phoneNumber', 'engagedAt', 'attribution_source', 'attribution_confidence',
+  'attribution_candidates', 'contactId', 'conversationId', 'contactName', 'lastMessage'
+];
+
+// One direct record per conversation, so a replayed message maps to the
+// record it created the first time
+function directSessionId(conversationId) {
+  return `direct-${crypto.createHash('sha256').update(conversationId).digest('hex').slice(0, 20)}`;
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+// A record as it looked right before `time`: an engagement recorded at or after
+// that moment is undone, so replayed events see roughly what the original run
+// saw. Only the latest engagement is kept on a record, so this is approximate
+// for sessions that were engaged more than once.
+function asOf(data, time) {
+  const engagedAt = toMillis(data.engagedAt);
+  if (!engagedAt || engagedAt < time) return data;
+
+  const before = { ...data, hasEngaged: false };
+  ENGAGEMENT_FIELDS.filter(field => field !== 'hasEngaged').forEach(field => delete before[field]);
+  return before;
+}
+
+function createWebhookProcessor({ db, channelRegistry, touchpointStore, notifier = null }) {
+  const clicksCollection = db.collection('utmClicks');
+
+  // Attributes one Gallabox message event and records the engagement.
+  // Options used by replay:
+  //   dryRun           - resolve attribution without writing anything
+  //   replayAt         - original receive time (ms); clicks are judged as of then
+  //   claimedSessions  - Set of sessions already engaged earlier in the replay
+  async function processEvent(event, { dryRun = false, replayAt = null, claimedSessions = null } = {}) {
+    const now = replayAt || Date.now();
+    const view = (doc) => (replayAt ? asOf(doc.data(), replayAt) : doc.data());
+    const existedAt = (doc) => !replayAt || (toMillis(doc.data().timestamp) || 0) <= replayAt;
+    const eventTime = () => (replayAt ? new Date(replayAt) : admin.firestore.FieldValue.serverTimestamp());
+
+    // Route the message to the brand registered for the receiving channel
+    const channel = await channelRegistry.findByNumber(event.channelNumber);
+    if (!channel) {
+      console.log(`Skipping: No channel registered for ${event.channelNumber}`);
+      return { status: 'skipped', reason: 'unknown_channel' };
+    }
+    const { brand } = channel;
+    // Clicks stored before brand tagging have no brand and can match any channel
+    const belongsToBrand = (doc) => !doc.data().brand || doc.data().brand === brand;
+
+    // Extract critical identifiers
+    const contactId = event.contactId || event.contact?.id || null;
+    const conversationId = event.conversationId || null;
+    const contactName = event.contact?.name || null;
+    const messageText = event.whatsapp?.text?.body;
+    // Reference code prefilled by a /go link; it is not part of what the lead wrote
+    const refCode = extractRefCode(messageText);
+    const messageContent = (refCode ? stripRefCode(messageText) : messageText) || (event.whatsapp?.interactive?.list_reply?.title || 'No text content');
+
+    // Phone number normalization
+    const normalizedPhone = normalizePhone(event.whatsapp?.from, channel.countryCode);
+
+    if (!normalizedPhone) {
+      throw Object.assign(new Error('Missing phone number'), { status: 400 });
+    }
+
+    let sessionId;
+    let utmData = { ...channel.defaultUtm };
+    let attribution = 'direct';
+    // Deterministic matches (reference code, context) are certain
+    let attributionConfidence = 1;
+    let attributionCandidates = [];
+
+    // Matching Priority 1: Reference code from a tracked /go link
+    if (refCode) {
+      const refMatch = await clicksCollection
+        .where('ref_code', '==', refCode)
+        .limit(1)
+        .get();
+
+      if (!refMatch.empty && belongsToBrand(refMatch.docs[0]) && existedAt(refMatch.docs[0])) {
+        sessionId = refMatch.docs[0].id;
+        utmData = view(refMatch.docs[0]);
+        attribution = 'ref_code';
+        console.log(`Reference code match: ${refCode} -> ${sessionId}`);
+      }
+    }
+
+    // Matching Priority 2: Context Parameter
+    if (!sessionId && event.context) {
+      try {
+        const context = JSON.parse(Buffer.from(event.context, 'base64').toString());
+        if (context?.session_id) {
+          sessionId = context.session_id;
+          // Only used when the click itself was never stored
+          utmData = { ...context, ...normalizeUtm({ ...context, ...context.original_params }) };
+          attribution = 'context';
+          console.log(`Context match: ${sessionId}`);
+        }
+      } catch (err) {
+        console.warn('Invalid context format:', err);
+      }
+    }
+
+    // Matching Priority 3: Scored candidates (recent clicks and phone matches)
+    if (!sessionId) {
+      const windowStart = admin.firestore.Timestamp.fromMillis(now - WINDOW_MS);
+
+      let candidateDocs;
+      if (replayAt) {
+        // Clicks engaged after the event still count as open at that time.
+        // Phone numbers are only set by engagements, so there is no phone pool.
+        const snapshot = await clicksCollection
+          .where('timestamp', '>=', windowStart)
+          .where('timestamp', '<=', admin.firestore.Timestamp.fromMillis(now))
+          .orderBy('timestamp', 'desc')
+          .limit(50)
+          .get();
+        candidateDocs = snapshot.docs.filter(doc => !view(doc).hasEngaged);
+      } else {
+        const [recentClicks, phoneClicks] = await Promise.all([
+          // Bots and other brands' clicks are left out before the limit, so a
+          // burst of crawler clicks or a busier brand cannot fill the pool.
+          // Clicks stored before bot detection have no is_bot and drop out
+          // too; they are past the window anyway.
+          clicksCollection
+            .where('hasEngaged', '==', false)
+            .where('is_bot', '==', false)
+            .where('brand', 'in', [brand, null])
+            .where('timestamp', '>=', windowStart)
+            .orderBy('timestamp', 'desc')
+            .limit(25)
+            .get(),
+          // Filtered by brand before the limit, so another brand's newer clicks
+          // cannot push this brand's out of the pool
+          clicksCollection
+            .where('phoneNumber', '==', normalizedPhone)
+            .where('hasEngaged', '==', false)
+            .where('brand', 'in', [brand, null])
+            .orderBy('timestamp', 'desc')
+            .limit(5)
+            .get()
+        ]);
+        candidateDocs = [...recentClicks.docs, ...phoneClicks.docs];
+      }
+
+      const candidates = new Map();
+      // Bot clicks stay out of the pool (the replay and phone pools are only
+      // filtered here); ref codes and context still match them since those
+      // come from the lead's own message
+      candidateDocs
+        .filter(belongsToBrand)
+        .filter(doc => !doc.data().is_bot)
+        .filter(doc => !claimedSessions || !claimedSessions.has(doc.id))
+        .forEach(doc => candidates.set(doc.id, { id: doc.id, data: view(doc) }));
+
+      const ranked = scoreCandidates([...candidates.values()], {
+        phone: normalizedPhone,
+        contactId,
+        now
+      });
+      const { winner, confidence, best, runnersUp } = selectAttribution(ranked);
+      attributionConfidence = winner ? confidence : 0;
+      attributionCandidates = winner ? runnersUp : [best, ...runnersUp].filter(Boolean);
+
+      if (winner) {
+        sessionId = winner.id;
+        utmData = winner.data;
+        attribution = 'scored_match';
+        console.log(`Scored match: ${sessionId} (confidence ${confidence})`);
+      } else if (best) {
+        // Leave the click for its own visitor rather than guessing
+        console.log(`Best candidate ${best.sessionId} below confidence threshold (${confidence})`);
+      }
+    }
+
+    // Start of Modified Direct Message Handling
+    if (!sessionId && conversationId) {
+      const existingDirectQuery = await clicksCollection
+        .where('conversationId', '==', conversationId)
+        .where('source', '==', 'direct_message')
+        .limit(1)
+        .get();
+      const directDoc = existingDirectQuery.docs[0];
+      const existingDirect = directDoc && existedAt(directDoc) ? directDoc : null;
+
+      if (existingDirect) {
+        sessionId = existingDirect.id;
+        attribution = 'existing_direct';
+        console.log(`Found existing direct conversation: ${conversationId}`);
+
+        if (!dryRun) {
+          await clicksCollection.doc(sessionId).update({
+            lastMessage: messageContent,
+            engagedAt: eventTime()
+          });
+        }
+      } else if (process.env.STORE_DIRECT_MESSAGES === 'true') {
+        // A replay of the message that created the record finds it stored
+        // after its receive time; it keeps that record's ID (records created
+        // before IDs were derived from the conversation have random ones)
+        sessionId = directDoc ? directDoc.id : directSessionId(conversationId);
+        attribution = 'new_direct';
+        console.log(`Creating new direct record: ${sessionId}`);
+
+        if (!dryRun) {
+          await clicksCollection.doc(sessionId).set({
+            ...utmData,
+            brand,
+            timestamp: eventTime(),
+            hasEngaged: true,
+            phoneNumber: normalizedPhone,
+            lastMessage: messageContent,
+            engagedAt: eventTime(),
+            syncedToSheets: false,
+            attribution_confidence: attributionConfidence,
+            attribution_candidates: attributionCandidates,
+            contactId,
+            conversationId,
+            contactName
+          });
+        }
+      }
+    }
+
+    if (!sessionId) {
+      console.log(`Skipping direct message from ${normalizedPhone}`);
+      attribution = 'ignored_direct';
+      sessionId = 'not_stored';
+    }
+    // End of Modified Direct Message Handling
+
+    // Update existing records
+    if (!dryRun && attribution !== 'new_direct' && sessionId !== 'not_stored') {
+      const updateData = {
+        hasEngaged: true,
+        phoneNumber: normalizedPhone,
+        engagedAt: eventTime(),
+        syncedToSheets: false,
+        attribution_source: attribution,
+        attribution_confidence: attributionConfidence,
+        attribution_candidates: attributionCandidates,
+        brand,
+        contactId,
+        conversationId,
+        ...(contactName && { contactName }),
+        ...(messageContent && { lastMessage: messageContent })
+      };
+
+      await db.runTransaction(async (transaction) => {
+        const docRef = clicksCollection.doc(sessionId);
+        const doc = await transaction.get(docRef);
+
+        if (doc.exists) {
+          transaction.update(docRef, updateData);
+        } else {
+          transaction.set(docRef, {
+            ...utmData,
+            ...updateData,
+            timestamp: eventTime()
+          });
+        }
+      });
+    }
+
+    // Keep the per-contact timeline even for messages that are not stored as
+    // sessions; replays must not log the same message twice
+    if (!dryRun && !replayAt) {
+      try {
+        await touchpointStore.recordMessage(normalizedPhone, {
+          sessionId: sessionId === 'not_stored' ? null : sessionId,
+          attribution,
+          brand,
+          conversationId,
+          contactName
+        });
+      } catch (err) {
+        console.error('Touchpoint logging error:', err);
+      }
+    }
+
+    // Sales alerts are awaited, since the CPU may be throttled once the
+    // response is sent, but only up to NOTIFY_TIMEOUT_MS so a slow Slack or
+    // SMTP server cannot hold up the webhook
+    if (!dryRun && !replayAt && notifier) {
+      const sent = notifier.notifyLead({
+        brand,
+        sessionId: sessionId === 'not_stored' ? null : sessionId,
+        attribution,
+        confidence: attributionConfidence,
+        source: utmData.source,
+        medium: utmData.medium,
+        campaign: utmData.campaign,
+        content: utmData.content,
+        placement: utmData.placement,
+        phone: normalizedPhone,
+        contactName: contactName || 'Anonymous',
+        conversationId,
+        message: messageContent
+      }).then(() => true, err => {
+        console.error('Lead notification error:', err);
+        return true;
+      });
+
+      let timer;
+      const finished = await Promise.race([
+        sent,
+        new Promise(resolve => { timer = setTimeout(resolve, NOTIFY_TIMEOUT_MS, false); })
+      ]);
+      clearTimeout(timer);
+      if (!finished) console.error(`Lead notification still pending after ${NOTIFY_TIMEOUT_MS}ms`);
+    }
+
+    console.log(`Processed message from ${normalizedPhone} with attribution: ${attribution}`);
+    return {
+      status: 'processed',
+      sessionId,
+      brand,
+      source: utmData.source,
+      attribution,
+      confidence: attributionConfidence
+    };
+  }
+
+  // Undoes the engagement a replayed event had written onto a click it no
+  // longer attributes to, so the click is free for its real visitor again
+  async function releaseSession(sessionId, conversationId) {
+    const docRef = clicksCollection.doc(sessionId);
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists || doc.data().source === 'direct_message') return;
+      if (conversationId && doc.data().conversationId !== conversationId) return;
+
+      const update = { hasEngaged: false, syncedToSheets: false };
+      ENGAGEMENT_FIELDS.filter(field => field !== 'hasEngaged').forEach(field => {
+        update[field] = admin.firestore.FieldValue.delete();
+      });
+      transaction.update(docRef, update);
+    });
+  }
+
+  return { processEvent, releaseSession };
+}
+
+module.exports = { createWebhookProcessor };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+// HMAC-SHA256 verification of incoming Gallabox webhooks. The sender signs
+// "<timestamp>.<raw body>" and sends
+//   X-Gallabox-Timestamp: <unix seconds>
+//   X-Gallabox-Signature: sha256=<hex HMAC>
+// Any of the active secrets may have signed it, so secrets can be rotated by
+// adding the new one before removing the old. Each signature is accepted once.
+
+const SIGNATURE_HEADER = process.env.WEBHOOK_SIGNATURE_HEADER || 'x-gallabox-signature';
+const TIMESTAMP_HEADER = process.env.WEBHOOK_TIMESTAMP_HEADER || 'x-gallabox-timestamp';
+const TOLERANCE_MS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300) * 1000;
+// With GALLABOX_ALLOW_LEGACY_TOKEN=true, unsigned requests with the old static
+// x-gallabox-token header are accepted while senders move to signing. They get
+// no replay protection, so the setting is off unless a deployment opts in.
+const ALLOW_LEGACY_TOKEN = process.env.GALLABOX_ALLOW_LEGACY_TOKEN === 'true';
+
+const rejections = metrics.counter('webhook_signature_rejections_total', 'Webhooks rejected by signature verification');
+const legacyAccepted = metrics.counter('webhook_legacy_token_total', 'Webhooks accepted with the deprecated x-gallabox-token header');
+
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Unix time in seconds; millisecond values are accepted too
+function parseTimestamp(value) {
+  if (!/^\d{10,13}$/.test(value || '')) return null;
+  const number = Number(value);
+  return number < 1e12 ? number * 1000 : number;
+}
+
+// getSecrets:     () => Promise<string[]> of the active signing secrets
+// getLegacyToken: () => Promise<string>, only used with GALLABOX_ALLOW_LEGACY_TOKEN=true
+function createSignatureVerifier({ db, getSecrets, getLegacyToken }) {
+  const deliveries = db.collection('webhookDeliveries');
+
+  function reject(res, status, reason, message) {
+    rejections.inc({ reason });
+    console.warn(`Webhook rejected: ${message}`);
+    res.status(status).json({ error: message });
+  }
+
+  async function verifyLegacyToken(req, res, next) {
+    const token = req.get('x-gallabox-token');
+    if (!token || !safeEqual(token, await getLegacyToken())) {
+      return reject(res, 401, 'invalid_token', 'Invalid token');
+    }
+    legacyAccepted.inc();
+    console.warn('Webhook accepted with the deprecated x-gallabox-token header; switch the sender to signing');
+    next();
+  }
+
+  return async (req, res, next) => {
+    try {
+      const signature = (req.get(SIGNATURE_HEADER) || '').replace(/^sha256=/, '');
+      if (!signature) {
+        if (ALLOW_LEGACY_TOKEN) return await verifyLegacyToken(req, res, next);
+        return reject(res, 401, 'missing_signature', 'Missing signature');
+      }
+
+      const timestamp = req.get(TIMESTAMP_HEADER);
+      const sentAt = parseTimestamp(timestamp);
+      if (!sentAt || Math.abs(Date.now() - sentAt) > TOLERANCE_MS) {
+        return reject(res, 401, 'stale_timestamp', 'Missing or expired timestamp');
+      }
+
+      const secrets = await getSecrets();
+      const rawBody = req.rawBody || Buffer.alloc(0);
+      if (!secrets.some(secret => safeEqual(sign(secret, timestamp, rawBody), signature))) {
+        return reject(res, 401, 'invalid_signature', 'Invalid signature');
+      }
+
+      // A signature seen before is a replay or a repeated delivery. Answering
+      // 2xx stops the sender from retrying it. Expired entries can be removed
+      // with a Firestore TTL policy on expiresAt.
+      const delivery = deliveries.doc(crypto.createHash('sha256').update(signature).digest('hex'));
+      try {
+        await delivery.create({
+          receivedAt: new Date(),
+          expiresAt: new Date(sentAt + 2 * TOLERANCE_MS)
+        });
+      } catch (err) {
+        if (err.code !== 6) throw err;
+        rejections.inc({ reason: 'duplicate' });
+        console.warn('Webhook delivery already processed, skipping');
+        return res.status(200).json({ status: 'skipped', reason: 'duplicate_delivery' });
+      }
+
+      // A delivery that was not processed (any non-2xx answer, or a connection
+      // closed before the answer) may be sent again
+      res.on('close', () => {
+        if (!res.writableFinished || res.statusCode < 200 || res.statusCode >= 300) {
+          delivery.delete().catch(err => console.error('Webhook delivery release failed:', err.message));
+        }
+      });
+      next();
+    } catch (error) {
+      console.error('Webhook verification error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+// Raw body for the signature check; pass as express.json({ verify })
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+module.exports = { createSignatureVerifier, captureRawBody };